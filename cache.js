@@ -0,0 +1,94 @@
+// Read-through caching for getRaw/get/getString. Entries are kept in a
+// cache adapter, which implements:
+// - get(key) => entry or undefined
+// - set(key, entry)
+// - delete(key)
+// where key is the object's bucket and S3 key, e.g. 'my-bucket/users/U1.json'.
+// Each method may return a promise, so external caches (Redis, memcached,
+// ...) can be plugged in. An entry is
+// { body, info, expiresAt }, body being a Buffer with the decoded
+// (decompressed and decrypted) object and info what head() returns. So
+// that plaintext never leaves the process, objects encrypted client-side
+// are only cached by the in-memory LruCache, never by other adapters.
+const DEFAULT_TTL_MS = 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 1000;
+
+// The default adapter, a least recently used cache held in memory
+class LruCache {
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+      throw new Error(`Invalid maxEntries: ${maxEntries}. maxEntries must be a positive integer.`);
+    }
+    this.maxEntries = maxEntries;
+    // a Map iterates in insertion order, so re-inserting an entry on every
+    // read keeps the least recently used one first
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry !== undefined) {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+// Bumped on every invalidation, so a read that raced with a write doesn't
+// put what it read in the cache. Kept per adapter rather than per instance,
+// as a parent and its collections share theirs and a write through any of
+// them has to hold off the reads of all of them.
+const generations = new WeakMap();
+
+function cacheGeneration(adapter) {
+  return generations.get(adapter) || 0;
+}
+
+function bumpCacheGeneration(adapter) {
+  generations.set(adapter, cacheGeneration(adapter) + 1);
+}
+
+// Turns the constructor's cache option into { adapter, ttlMs }, or null when
+// caching is off. The option is either true for an in-memory LRU with the
+// defaults, or { ttlMs, maxEntries, adapter }.
+function resolveCache(option) {
+  if (!option) {
+    return null;
+  }
+  const { ttlMs = DEFAULT_TTL_MS, maxEntries, adapter } = option === true ? {} : option;
+  if (typeof ttlMs !== 'number' || ttlMs < 0) {
+    throw new Error(`Invalid cache ttlMs: ${ttlMs}. ttlMs must be a non-negative number.`);
+  }
+  if (adapter && ['get', 'set', 'delete'].some(method => typeof adapter[method] !== 'function')) {
+    throw new Error('Invalid cache adapter: adapter must implement get(), set() and delete().');
+  }
+  return { adapter: adapter || new LruCache({ maxEntries }), ttlMs };
+}
+
+module.exports = {
+  LruCache,
+  resolveCache,
+  cacheGeneration,
+  bumpCacheGeneration,
+};
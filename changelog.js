@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const { mapWithConcurrency } = require('./pool');
+const { CHANGES_PREFIX } = require('./reserved');
+
+// The change log is one small JSON object per change, <id>.json under
+// CHANGES_PREFIX. S3 can't append to an object, but it lists keys in
+// order, so ids start with the time of the change and reading the log is
+// listing it.
+const DEFAULT_LIMIT = 100;
+
+// Ids take the time from a clock that never repeats, so changes made in the
+// same millisecond by this process are still listed in the order they were made
+let lastIdTime = 0;
+
+// Appends made by this process are written one at a time, each taking its
+// id when its turn comes. Otherwise a later id could be listed before an
+// earlier one has been written, and a reader checkpointing past it would
+// never see the earlier change.
+let appending = Promise.resolve();
+
+// An append-only log of the writes made through an S3DB instance (and the
+// collections derived from it), written by S3DB after each successful
+// write. db is an S3DB scoped to the log's prefix.
+class ChangeLog {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Records a write, given the context the hooks saw. Keys are full S3 keys,
+  // so entries from collections can be told apart. Records written with put
+  // or update are logged with their data, raw objects are not. Bulk deletes
+  // and syncs log one entry per batch, with its full keys as keys. Writes
+  // applied by a transaction carry its id as transactionId.
+  append(change) {
+    const appended = appending.then(() => this._append(change));
+    // a failed append doesn't hold up the ones after it
+    appending = appended.catch(() => {});
+    return appended;
+  }
+
+  async _append({ operation, s3Key, s3Keys, newS3Key, data, result, transactionId }) {
+    const at = new Date();
+    lastIdTime = Math.max(at.getTime(), lastIdTime + 1);
+    const entry = {
+      id: `${new Date(lastIdTime).toISOString()}-${crypto.randomBytes(4).toString('hex')}`,
+      at: at.toISOString(),
+      operation,
+    };
+    if (s3Key) {
+      entry.key = s3Key;
+    }
+    if (s3Keys) {
+      entry.keys = s3Keys;
+    }
+    if (newS3Key) {
+      entry.newKey = newS3Key;
+    }
+    if (operation === 'put' || operation === 'update') {
+      entry.data = data;
+    }
+    if (result && result.etag) {
+      entry.etag = result.etag;
+      entry.versionId = result.versionId;
+    }
+    if (transactionId) {
+      entry.transactionId = transactionId;
+    }
+    await this.db.put(entry.id, entry, { ifNoneMatch: '*', hooks: false });
+    return entry;
+  }
+
+  // Resolves to { changes, checkpoint }: up to limit changes after the
+  // checkpoint `since` (from the start of the log when left out), oldest
+  // first. Pass checkpoint as `since` to read on from there.
+  async read({ since, limit = DEFAULT_LIMIT, ...options } = {}) {
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      throw new Error(`Invalid limit: ${limit}. limit must be an integer from 1 to 1000.`);
+    }
+    const { keys } = await this.db.listPage('', { ...options, startAfter: since, maxKeys: limit });
+    const changes = await mapWithConcurrency(keys, this.db.defaultConcurrency(), key => this.db.get(key, options));
+    return { changes, checkpoint: keys.length ? keys[keys.length - 1] : (since || null) };
+  }
+}
+
+module.exports = {
+  ChangeLog,
+};
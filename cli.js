@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+// The s3db command, for inspecting and editing a store from a shell with
+// the same prefix, extension and KMS conventions as the library. Each
+// command is a call to the matching S3DB method.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const { spawnSync } = require('child_process');
+const S3DB = require('./index');
+const logger = require('./logger');
+
+const USAGE = `Usage: s3db [options] <command> [arguments]
+
+Commands:
+  ls [subPath]          list keys
+  get <key>             print a record, pretty-printed
+  put <key> <file|->    store a record read from a file or stdin
+  edit <key>            open a record in $EDITOR and store it when saved
+  rm <key>              delete a record
+  cp <key> <newKey>     copy a record
+  mv <key> <newKey>     move a record
+  exists <key>          print whether a record exists, exit code 1 if not
+
+Options:
+  -b, --bucket <name>       bucket, or $S3DB_BUCKET
+  -p, --prefix <prefix>     prefix, or $S3DB_PREFIX
+  -k, --kms-key-id <id>     KMS key for server-side encryption, or $S3DB_KMS_KEY_ID
+  --raw                     work with raw objects: no .json extension and
+                            bodies are passed through as is
+  -h, --help                show this help
+
+Set LOG_LEVEL to see the library's logging.
+`;
+
+const OPTIONS = {
+  bucket: { type: 'string', short: 'b' },
+  prefix: { type: 'string', short: 'p' },
+  'kms-key-id': { type: 'string', short: 'k' },
+  raw: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+// How many arguments each command takes, [min, max]
+const COMMANDS = {
+  ls: [0, 1],
+  get: [1, 1],
+  put: [2, 2],
+  edit: [1, 1],
+  rm: [1, 1],
+  cp: [2, 2],
+  mv: [2, 2],
+  exists: [1, 1],
+};
+
+// Runs the command line in argv, resolving to the exit code: 0 on success,
+// 1 on failure (or a record that doesn't exist) and 2 on bad usage. io
+// carries stdin, stdout, stderr and env, and can pass S3DB options such as
+// `client`.
+async function run(argv, io = {}) {
+  const {
+    stdin = process.stdin,
+    stdout = process.stdout,
+    stderr = process.stderr,
+    env = process.env,
+    ...s3dbOptions
+  } = io;
+
+  let args;
+  try {
+    args = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    stderr.write(`s3db: ${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { values, positionals: [command, ...commandArgs] } = args;
+  if (values.help || !command) {
+    (values.help ? stdout : stderr).write(USAGE);
+    return values.help ? 0 : 2;
+  }
+  if (!COMMANDS[command]) {
+    stderr.write(`s3db: unknown command ${command}\n\n${USAGE}`);
+    return 2;
+  }
+  const [min, max] = COMMANDS[command];
+  if (commandArgs.length < min || commandArgs.length > max) {
+    stderr.write(`s3db: wrong number of arguments for ${command}\n\n${USAGE}`);
+    return 2;
+  }
+  const bucket = values.bucket || env.S3DB_BUCKET;
+  if (!bucket) {
+    stderr.write('s3db: no bucket, pass --bucket or set S3DB_BUCKET\n');
+    return 2;
+  }
+
+  // errors are reported below, the library logging them too would only
+  // clutter the output
+  if (!env.LOG_LEVEL) {
+    logger.level('fatal');
+  }
+
+  const s3db = new S3DB(bucket, values.prefix || env.S3DB_PREFIX || '', {
+    ...s3dbOptions,
+    kmsKeyId: values['kms-key-id'] || env.S3DB_KMS_KEY_ID || '',
+  });
+  try {
+    return await COMMAND_HANDLERS[command](s3db, commandArgs, { raw: values.raw, stdin, stdout, env });
+  } catch (err) {
+    stderr.write(`s3db: ${err.message}\n`);
+    return 1;
+  }
+}
+
+// Each handler is called with the S3DB, the command's arguments and
+// { raw, stdin, stdout, env }, and resolves to the exit code
+const COMMAND_HANDLERS = {
+  async ls(s3db, [subPath = ''], { stdout }) {
+    for await (const key of s3db.listIterator(subPath)) {
+      stdout.write(`${key}\n`);
+    }
+    return 0;
+  },
+
+  async get(s3db, [key], { raw, stdout }) {
+    if (raw) {
+      stdout.write(await s3db.getRaw(key));
+    } else {
+      stdout.write(`${JSON.stringify(await s3db.get(key), null, 2)}\n`);
+    }
+    return 0;
+  },
+
+  async put(s3db, [key, file], { raw, stdin }) {
+    const body = file === '-' ? await readStream(stdin) : fs.readFileSync(file);
+    if (raw) {
+      await s3db.putRaw(key, body);
+    } else {
+      await s3db.put(key, parseJson(body, file === '-' ? 'stdin' : file));
+    }
+    return 0;
+  },
+
+  // Writes back conditionally on the ETag that was read, so a change made
+  // by someone else while the editor was open is not overwritten
+  async edit(s3db, [key], { raw, env }) {
+    let body;
+    let etag;
+    if (raw) {
+      ({ body, etag } = await s3db.getRaw(key, { withETag: true }));
+    } else {
+      const result = await s3db.get(key, { withETag: true });
+      body = Buffer.from(`${JSON.stringify(result.data, null, 2)}\n`);
+      etag = result.etag;
+    }
+
+    // named after the key, so the editor can tell the file type
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 's3db-'));
+    const file = path.join(dir, path.basename(raw ? key : s3db.fullyQualifiedKey(key)));
+    try {
+      fs.writeFileSync(file, body);
+      // the editor is run the way git runs it: $EDITOR is a shell command,
+      // so it can carry arguments, and the file, whose name comes from the
+      // key, is passed as "$1" and never parsed by the shell
+      const editor = env.VISUAL || env.EDITOR || 'vi';
+      const result = spawnSync('sh', ['-c', `${editor} "$1"`, editor, file], { stdio: 'inherit' });
+      if (result.status !== 0) {
+        throw new Error(`${editor} exited with ${result.error ? result.error.message : `status ${result.status}`}, ${key} was not changed`);
+      }
+
+      const edited = fs.readFileSync(file);
+      if (edited.equals(body)) {
+        return 0;
+      }
+      if (raw) {
+        await s3db.putRaw(key, edited, { ifMatch: etag });
+      } else {
+        await s3db.put(key, parseJson(edited, file), { ifMatch: etag });
+      }
+      return 0;
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  },
+
+  async rm(s3db, [key], { raw }) {
+    await (raw ? s3db.deleteRaw(key) : s3db.delete(key));
+    return 0;
+  },
+
+  async cp(s3db, [key, newKey], { raw }) {
+    if (raw) {
+      await s3db.copyFullyQualified(path.posix.join(s3db.prefix, key), path.posix.join(s3db.prefix, newKey));
+    } else {
+      await s3db.copy(key, newKey);
+    }
+    return 0;
+  },
+
+  async mv(s3db, [key, newKey], { raw }) {
+    if (raw) {
+      await s3db.moveFullyQualified(path.posix.join(s3db.prefix, key), path.posix.join(s3db.prefix, newKey));
+    } else {
+      await s3db.move(key, newKey);
+    }
+    return 0;
+  },
+
+  async exists(s3db, [key], { raw, stdout }) {
+    const exists = await (raw ? s3db.existsRaw(key) : s3db.exists(key));
+    stdout.write(`${exists}\n`);
+    return exists ? 0 : 1;
+  },
+};
+
+function parseJson(body, source) {
+  try {
+    return JSON.parse(body.toString('utf-8'));
+  } catch (err) {
+    throw new Error(`${source} is not valid JSON: ${err.message}`);
+  }
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  run,
+};
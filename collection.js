@@ -0,0 +1,358 @@
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const S3DB = require('./index');
+const logger = require('./logger');
+const { mapWithConcurrency } = require('./pool');
+const { ValidationError } = require('./errors');
+const { INDEX_PREFIX, isReserved, assertNotReserved } = require('./reserved');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+// A Collection is an S3DB scoped to a sub-prefix of its parent, e.g.
+// s3db.collection('orders') stores records under <prefix>/orders/. When a
+// JSON Schema is given, every put and update (including the merged result of
+// an update) is validated before anything is written. With validateOnRead,
+// get validates too, which is handy when auditing data after a migration.
+//
+// Fields listed in `indexes` (dot paths like 'address.city' work too) are
+// indexed: every put/update/delete/copy/move/restore also maintains small
+// pointer objects, so findBy(field, value) can resolve matches with one
+// listing and one get per match rather than reading the whole collection.
+class Collection extends S3DB {
+  constructor(parent, name, options = {}) {
+    if (typeof name !== 'string' || !name) {
+      throw new Error(`Invalid collection name: ${name}. Collection name must be a non-empty string.`);
+    }
+    assertNotReserved(name, 'collection name');
+
+    super(parent.bucketName, path.join(parent.prefix, name), parent.childOptions());
+
+    this.name = name;
+    this.schema = options.schema || null;
+    this.validateOnRead = !!options.validateOnRead;
+    this.validator = this.schema ? compileSchema(this.schema) : null;
+
+    this.indexes = options.indexes || [];
+    if (!Array.isArray(this.indexes) || this.indexes.some(field => typeof field !== 'string' || !field)) {
+      throw new Error(`Invalid indexes: ${this.indexes}. Indexes must be an array of field names.`);
+    }
+    this.indexDb = parent._reservedDb(path.join(INDEX_PREFIX, name));
+  }
+
+  // Returns the list of schema violations for data, empty if it is valid
+  validate(data) {
+    if (!this.validator || this.validator(data)) {
+      return [];
+    }
+    return this.validator.errors.map(formatError);
+  }
+
+  async get(key, options = {}) {
+    const result = await super.get(key, options);
+    if (result !== null && this.validateOnRead) {
+      this.assertValid(options.withETag || options.withMetadata ? result.data : result, key);
+    }
+    return result;
+  }
+
+  // put() and update() both write through _put() once their hooks have run,
+  // so what is written, merged or transformed, is validated and indexed here
+  async _put(key, data, options = {}) {
+    this.assertValid(data, key);
+    if (!this.indexes.length) {
+      return await super._put(key, data, options);
+    }
+
+    const existing = await this.currentRecord(key, options);
+    const { added, removed } = this.diffIndexPointers(key, existing, data);
+
+    // New pointers are written before the record and stale ones removed
+    // after it, so a failure part way through leaves extra pointers (which
+    // findBy filters out) rather than missing ones. Concurrent writes to the
+    // same record can still remove each other's pointers, rebuildIndexes()
+    // puts them back.
+    await this.putIndexPointers(added);
+    const result = await super._put(key, data, options);
+    await this.deleteIndexPointers(removed);
+    return result;
+  }
+
+  async _delete(key, options = {}) {
+    if (!this.indexes.length) {
+      return await super._delete(key, options);
+    }
+
+    const existing = await this.currentRecord(key, options);
+    await super._delete(key, options);
+    await this.deleteIndexPointers(this.diffIndexPointers(key, existing, null).removed);
+  }
+
+  async deleteMany(keys, options = {}) {
+    if (!this.indexes.length) {
+      return await super.deleteMany(keys, options);
+    }
+
+    const existing = await super.getMany(keys, { ...options, returnNullIfNotFound: true, cache: false, includeExpired: true });
+    const results = await super.deleteMany(keys, options);
+    const removed = results.flatMap((result, i) => {
+      const data = existing[i].ok ? existing[i].data : null;
+      return result.ok ? this.diffIndexPointers(result.key, data, null).removed : [];
+    });
+    await this.deleteIndexPointers(removed);
+    return results;
+  }
+
+  // deletePrefix() and sweepExpired() delete whatever they list without
+  // reading it, so the pointers to records under subPath are looked at
+  // afterwards and those whose record is gone removed. Clearing out
+  // bookkeeping, e.g. after a transaction, deletes no records.
+  async deletePrefix(subPath = '', options = {}) {
+    const deleted = await super.deletePrefix(subPath, options);
+    if (this.indexes.length && deleted && !isReserved(subPath)) {
+      await this.removeStalePointers(subPath, options);
+    }
+    return deleted;
+  }
+
+  async sweepExpired(subPath = '', options = {}) {
+    const deleted = await super.sweepExpired(subPath, options);
+    if (this.indexes.length && deleted && !isReserved(subPath)) {
+      await this.removeStalePointers(subPath, options);
+    }
+    return deleted;
+  }
+
+  async _copy(relativeKey, newRelativeKey, options = {}) {
+    if (!this.indexes.length) {
+      return await super._copy(relativeKey, newRelativeKey, options);
+    }
+
+    const source = await this.currentRecord(relativeKey, options);
+    const destination = await this.currentRecord(newRelativeKey, options);
+    const { added, removed } = this.diffIndexPointers(newRelativeKey, destination, source);
+
+    await this.putIndexPointers(added);
+    await super._copy(relativeKey, newRelativeKey, options);
+    await this.deleteIndexPointers(removed);
+  }
+
+  async _move(relativeKey, newRelativeKey, options = {}) {
+    if (!this.indexes.length) {
+      return await super._move(relativeKey, newRelativeKey, options);
+    }
+
+    const source = await this.currentRecord(relativeKey, options);
+    const destination = await this.currentRecord(newRelativeKey, options);
+    const { added, removed } = this.diffIndexPointers(newRelativeKey, destination, source);
+
+    await this.putIndexPointers(added);
+    await super._move(relativeKey, newRelativeKey, options);
+    await this.deleteIndexPointers([...removed, ...this.diffIndexPointers(relativeKey, source, null).removed]);
+  }
+
+  // Transactions stage records without going through _put() and _delete(),
+  // so they are validated here before anything is written. New index
+  // pointers are written before the transaction applies and stale ones
+  // removed once it has committed, like _put() does around a single write.
+  async _prepareTransaction(operations) {
+    for (const operation of operations) {
+      if (operation.type === 'put') {
+        this.assertValid(operation.data, operation.key);
+      }
+    }
+    if (!this.indexes.length) {
+      return await super._prepareTransaction(operations);
+    }
+
+    const added = [];
+    const removed = [];
+    for (const { type, key, data } of operations) {
+      // raw objects aren't records, unless a raw delete removes one
+      if (type === 'putRaw') {
+        continue;
+      }
+      const existing = await this.currentRecord(key);
+      const diff = this.diffIndexPointers(key, existing, type === 'put' ? data : null);
+      added.push(...diff.added);
+      removed.push(...diff.removed);
+    }
+    await this.putIndexPointers(added);
+    return async () => await this.deleteIndexPointers(removed);
+  }
+
+  async restore(key, versionId, options = {}) {
+    if (!this.indexes.length) {
+      return await super.restore(key, versionId, options);
+    }
+
+    const current = await this.currentRecord(key, options);
+    const restored = await super.get(key, { ...options, versionId });
+    const { added, removed } = this.diffIndexPointers(key, current, restored);
+
+    await this.putIndexPointers(added);
+    const result = await super.restore(key, versionId, options);
+    await this.deleteIndexPointers(removed);
+    return result;
+  }
+
+  // Returns [{ key, data }] for every record whose indexed field equals value
+  // (or, for array fields, contains it)
+  async findBy(field, value) {
+    if (!this.indexes.includes(field)) {
+      throw new Error(`Field ${field} is not indexed in collection ${this.name}.`);
+    }
+
+    const pointers = await this.indexDb.list(`${encodeSegment(field)}/${encodeValue(value)}`);
+    logger.trace(`S3DB: Found ${pointers.length} index pointers for ${field} in collection ${this.name}`);
+
+    const matches = await mapWithConcurrency(pointers, this.defaultConcurrency(), async pointer => {
+      const key = decodeURIComponent(pointer);
+      const data = await super.get(key, { returnNullIfNotFound: true, cache: false });
+      // pointers can be stale after an interrupted write, so check the record
+      if (data === null || !indexValues(data, field).some(v => encodeValue(v) === encodeValue(value))) {
+        return null;
+      }
+      return { key, data };
+    });
+    return matches.filter(match => match !== null);
+  }
+
+  // Reads every record in the collection and adds missing index pointers and
+  // removes stale ones, e.g. after records were written around the collection
+  async rebuildIndexes() {
+    const keys = await this.list();
+    const expected = new Set();
+    for (const key of keys) {
+      const data = await super.get(key, { returnNullIfNotFound: true, cache: false });
+      this.indexPointers(key, data).forEach(pointer => expected.add(pointer));
+    }
+
+    const actual = new Set(await this.indexDb.list());
+    const added = [...expected].filter(pointer => !actual.has(pointer));
+    const removed = [...actual].filter(pointer => !expected.has(pointer));
+
+    await this.putIndexPointers(added);
+    await this.deleteIndexPointers(removed);
+    logger.trace(`S3DB: Rebuilt indexes for collection ${this.name}: ${added.length} added, ${removed.length} removed`);
+    return { records: keys.length, added: added.length, removed: removed.length };
+  }
+
+  // Reads a record as it is now, to work out the index pointers a write
+  // adds and removes. A cached copy may miss another process's write, and
+  // an expired record's pointers still have to be removed, so this reads
+  // past both.
+  async currentRecord(key, options = {}) {
+    return await super.get(key, { ...options, returnNullIfNotFound: true, cache: false, includeExpired: true });
+  }
+
+  // Returns the pointer keys (relative to the index prefix) for a record
+  indexPointers(key, data) {
+    if (data === null || data === undefined) {
+      return [];
+    }
+    let recordKey = String(key);
+    if (recordKey.endsWith(this.serializer.extension)) {
+      recordKey = recordKey.slice(0, -this.serializer.extension.length);
+    }
+    recordKey = encodeSegment(recordKey);
+    const pointers = [];
+    for (const field of this.indexes) {
+      for (const value of indexValues(data, field)) {
+        pointers.push(`${encodeSegment(field)}/${encodeValue(value)}/${recordKey}`);
+      }
+    }
+    return pointers;
+  }
+
+  diffIndexPointers(key, oldData, newData) {
+    const oldPointers = this.indexPointers(key, oldData);
+    const newPointers = this.indexPointers(key, newData);
+    return {
+      added: newPointers.filter(pointer => !oldPointers.includes(pointer)),
+      removed: oldPointers.filter(pointer => !newPointers.includes(pointer)),
+    };
+  }
+
+  // Removes the pointers to records under subPath that no longer exist
+  async removeStalePointers(subPath, options = {}) {
+    const under = subPath.replace(/^\/+|\/+$/g, '');
+    const recordKey = pointer => decodeURIComponent(pointer.slice(pointer.lastIndexOf('/') + 1));
+    const pointers = (await this.indexDb.list()).filter(pointer => !under || recordKey(pointer).startsWith(`${under}/`));
+    const stale = await mapWithConcurrency(pointers, options.concurrency || this.defaultConcurrency(), async pointer => {
+      return !(await this.headFullyQualified(this.fullyQualifiedKey(recordKey(pointer)), { returnNullIfNotFound: true }));
+    });
+    await this.deleteIndexPointers(pointers.filter((pointer, i) => stale[i]));
+  }
+
+  async putIndexPointers(pointers) {
+    for (const pointer of pointers) {
+      await this.indexDb.putRaw(pointer, '');
+    }
+  }
+
+  async deleteIndexPointers(pointers) {
+    for (const pointer of pointers) {
+      await this.indexDb.deleteRaw(pointer);
+    }
+  }
+
+  assertValid(data, key) {
+    const errors = this.validate(data);
+    if (errors.length) {
+      const s3Key = this.fullyQualifiedKey(key);
+      logger.trace(`S3DB: Validation failed for: s3://${this.bucketName}/${s3Key}`);
+      const summary = errors.map(err => `${err.path} ${err.message}`).join(', ');
+      throw new ValidationError(`Validation failed for key ${key} in collection ${this.name}: ${summary}`, {
+        bucket: this.bucketName,
+        key: s3Key,
+        errors,
+      });
+    }
+  }
+}
+
+// Returns the values to index for a (possibly nested) field, each element of
+// an array is indexed separately and null/undefined is not indexed
+function indexValues(data, field) {
+  let value = data;
+  for (const part of field.split('.')) {
+    value = value === null || value === undefined ? undefined : value[part];
+  }
+  if (value === null || value === undefined) {
+    return [];
+  }
+  return Array.isArray(value) ? value.filter(v => v !== null && v !== undefined) : [value];
+}
+
+// Values are JSON encoded so 1 and '1' index differently
+function encodeValue(value) {
+  return encodeSegment(JSON.stringify(value));
+}
+
+// Encodes a string as a single key segment, dots included so that path
+// normalization and the extension handling in list() leave it alone
+function encodeSegment(segment) {
+  return encodeURIComponent(segment).replace(/\./g, '%2E');
+}
+
+function compileSchema(schema) {
+  // schemas with an $id can only be added to the shared instance once
+  if (schema.$id && ajv.getSchema(schema.$id)) {
+    return ajv.getSchema(schema.$id);
+  }
+  return ajv.compile(schema);
+}
+
+// Converts an Ajv error into { path, message, keyword }, pointing the path of
+// a missing required property at the property itself rather than its parent
+function formatError(err) {
+  let pointer = err.instancePath;
+  if (err.keyword === 'required') {
+    pointer += `/${err.params.missingProperty}`;
+  }
+  return { path: pointer || '/', message: err.message, keyword: err.keyword };
+}
+
+module.exports = Collection;
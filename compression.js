@@ -0,0 +1,93 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { pipeline } = require('stream');
+const { METADATA_COMPRESSION } = require('./reserved');
+
+// Transparent compression. Compressed objects carry the algorithm in their
+// metadata, and in Content-Encoding too unless they are also encrypted (the
+// stored bytes are then ciphertext, which no HTTP client could decode).
+const ALGORITHMS = {
+  gzip: {
+    contentEncoding: 'gzip',
+    compress: promisify(zlib.gzip),
+    decompress: promisify(zlib.gunzip),
+    createCompressStream: () => zlib.createGzip(),
+    createDecompressStream: () => zlib.createGunzip(),
+  },
+  brotli: {
+    contentEncoding: 'br',
+    compress: promisify(zlib.brotliCompress),
+    decompress: promisify(zlib.brotliDecompress),
+    createCompressStream: () => zlib.createBrotliCompress(),
+    createDecompressStream: () => zlib.createBrotliDecompress(),
+  },
+};
+
+function validateCompression(compression) {
+  if (compression && !ALGORITHMS[compression]) {
+    throw new Error(`Invalid compression: ${compression}. Compression must be one of ${Object.keys(ALGORITHMS).join(', ')}.`);
+  }
+}
+
+// Compresses body, resolves to the compressed body and the metadata marking it
+async function compressBody(body, compression) {
+  return {
+    body: await ALGORITHMS[compression].compress(body),
+    metadata: { [METADATA_COMPRESSION]: compression },
+  };
+}
+
+async function decompressBody(body, compression) {
+  if (!ALGORITHMS[compression]) {
+    throw new Error(`Unsupported compression: ${compression}`);
+  }
+  return await ALGORITHMS[compression].decompress(body);
+}
+
+// Streaming versions of compressBody/decompressBody, body is a readable
+// stream (or any async iterable) and the result is a readable stream.
+// Errors on body are passed on to the result.
+function compressStream(body, compression) {
+  return {
+    body: pipeline(body, ALGORITHMS[compression].createCompressStream(), () => {}),
+    metadata: { [METADATA_COMPRESSION]: compression },
+  };
+}
+
+function decompressStream(body, compression) {
+  if (!ALGORITHMS[compression]) {
+    throw new Error(`Unsupported compression: ${compression}`);
+  }
+  return pipeline(body, ALGORITHMS[compression].createDecompressStream(), () => {});
+}
+
+// Returns the algorithm an object was compressed with, if any. Objects
+// written by other tools with a gzip or br Content-Encoding count as well.
+function compressionOf(metadata, contentEncoding) {
+  if (metadata && metadata[METADATA_COMPRESSION]) {
+    return metadata[METADATA_COMPRESSION];
+  }
+  return Object.keys(ALGORITHMS).find(name => ALGORITHMS[name].contentEncoding === contentEncoding) || null;
+}
+
+function contentEncodingFor(compression) {
+  return ALGORITHMS[compression].contentEncoding;
+}
+
+// Returns metadata without the compression marker
+function withoutCompressionMetadata(metadata = {}) {
+  const rest = { ...metadata };
+  delete rest[METADATA_COMPRESSION];
+  return rest;
+}
+
+module.exports = {
+  validateCompression,
+  compressBody,
+  decompressBody,
+  compressStream,
+  decompressStream,
+  compressionOf,
+  contentEncodingFor,
+  withoutCompressionMetadata,
+};
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const { EncryptionError } = require('./errors');
+const { METADATA_ENCRYPTION, METADATA_KEY_ID, METADATA_DATA_KEY, METADATA_IV } = require('./reserved');
+
+// Client-side envelope encryption. Every object is encrypted with its own
+// random 256-bit data key using AES-256-GCM, the data key is then wrapped
+// ("encrypted") by a key provider and stored, along with the IV, in the
+// object's metadata. The GCM auth tag is appended to the ciphertext.
+//
+// A key provider implements:
+// - keyId: the ID of the key new data keys are wrapped with
+// - generateDataKey() => { keyId, plaintextKey, encryptedKey }
+// - decryptDataKey(encryptedKey, keyId) => plaintextKey
+// where the keys are Buffers.
+const ALGORITHM = 'AES-256-GCM';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+
+// Wraps data keys with master keys held in memory, for tests, local
+// development or keys fetched from a secrets manager. `keys` maps key IDs to
+// 32-byte keys (Buffers or base64 strings), new data keys are wrapped with
+// currentKeyId. To rotate, add a new key, make it current and keep the old
+// ones around until everything has been re-encrypted.
+class LocalKeyringProvider {
+  constructor({ keys, currentKeyId } = {}) {
+    if (!keys || typeof keys !== 'object' || !Object.keys(keys).length) {
+      throw new Error('Invalid keys: keys must map at least one key ID to a key.');
+    }
+
+    this.keys = new Map();
+    for (const [keyId, key] of Object.entries(keys)) {
+      const buffer = Buffer.isBuffer(key) ? key : Buffer.from(key, 'base64');
+      if (buffer.length !== KEY_LENGTH) {
+        throw new Error(`Invalid key ${keyId}: keys must be ${KEY_LENGTH} bytes long.`);
+      }
+      this.keys.set(keyId, buffer);
+    }
+
+    this.keyId = currentKeyId || Object.keys(keys)[0];
+    if (!this.keys.has(this.keyId)) {
+      throw new Error(`Invalid currentKeyId: ${this.keyId} is not in the keyring.`);
+    }
+  }
+
+  // Returns a new random key suitable for the keyring
+  static generateKey() {
+    return crypto.randomBytes(KEY_LENGTH);
+  }
+
+  async generateDataKey() {
+    const plaintextKey = crypto.randomBytes(KEY_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const { ciphertext, tag } = encrypt(this.keys.get(this.keyId), iv, plaintextKey);
+    return { keyId: this.keyId, plaintextKey, encryptedKey: Buffer.concat([iv, ciphertext, tag]) };
+  }
+
+  async decryptDataKey(encryptedKey, keyId) {
+    const masterKey = this.keys.get(keyId);
+    if (!masterKey) {
+      throw new EncryptionError(`Key ${keyId} is not in the keyring`);
+    }
+    const iv = encryptedKey.subarray(0, IV_LENGTH);
+    const ciphertext = encryptedKey.subarray(IV_LENGTH, encryptedKey.length - TAG_LENGTH);
+    const tag = encryptedKey.subarray(encryptedKey.length - TAG_LENGTH);
+    return decrypt(masterKey, iv, ciphertext, tag);
+  }
+}
+
+// Wraps data keys with a KMS key using GenerateDataKey and Decrypt. Options:
+// - keyId: KMS key ID, ARN or alias that new data keys are generated under
+// - client: a ready-made KMSClient, otherwise one is created from clientConfig
+// - encryptionContext: optional KMS encryption context, it has to be the same
+//   when decrypting so it can't change once objects have been written
+// KMS works out the key from the wrapped data key when decrypting, so objects
+// written under a previous KMS key can still be read after switching keyId.
+class KmsKeyProvider {
+  constructor({ keyId, client, clientConfig, encryptionContext } = {}) {
+    if (!keyId || typeof keyId !== 'string') {
+      throw new Error(`Invalid KMS key ID: ${keyId}. KMS key ID must be a string.`);
+    }
+
+    this.keyId = keyId;
+    this.encryptionContext = encryptionContext;
+    if (client) {
+      this.kmsClient = client;
+    } else {
+      // required here so the KMS client is only loaded when it is used
+      const { KMSClient } = require('@aws-sdk/client-kms');
+      this.kmsClient = new KMSClient(clientConfig || {});
+    }
+  }
+
+  async generateDataKey() {
+    const { GenerateDataKeyCommand } = require('@aws-sdk/client-kms');
+    const response = await this.kmsClient.send(new GenerateDataKeyCommand({
+      KeyId: this.keyId,
+      KeySpec: 'AES_256',
+      EncryptionContext: this.encryptionContext,
+    }));
+    return {
+      keyId: this.keyId,
+      plaintextKey: Buffer.from(response.Plaintext),
+      encryptedKey: Buffer.from(response.CiphertextBlob),
+    };
+  }
+
+  async decryptDataKey(encryptedKey) {
+    const { DecryptCommand } = require('@aws-sdk/client-kms');
+    const response = await this.kmsClient.send(new DecryptCommand({
+      CiphertextBlob: encryptedKey,
+      EncryptionContext: this.encryptionContext,
+    }));
+    return Buffer.from(response.Plaintext);
+  }
+}
+
+// Encrypts body with a new data key, resolves to the ciphertext and the
+// metadata needed to decrypt it again
+async function encryptBody(body, keyProvider) {
+  const { keyId, plaintextKey, encryptedKey } = await keyProvider.generateDataKey();
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const { ciphertext, tag } = encrypt(plaintextKey, iv, body);
+  return {
+    body: Buffer.concat([ciphertext, tag]),
+    metadata: encryptionMetadata(keyId, encryptedKey, iv),
+  };
+}
+
+async function decryptBody(body, metadata, keyProvider) {
+  const { plaintextKey, iv } = await unwrapDataKey(metadata, keyProvider);
+  return decrypt(plaintextKey, iv, body.subarray(0, body.length - TAG_LENGTH), body.subarray(body.length - TAG_LENGTH));
+}
+
+// Streaming versions of encryptBody/decryptBody, body is a readable stream
+// (or any async iterable) and the result is a readable stream
+async function encryptStream(body, keyProvider) {
+  const { keyId, plaintextKey, encryptedKey } = await keyProvider.generateDataKey();
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', plaintextKey, iv);
+  const transform = new Transform({
+    transform(chunk, encoding, callback) {
+      callback(null, cipher.update(chunk));
+    },
+    flush(callback) {
+      this.push(cipher.final());
+      callback(null, cipher.getAuthTag());
+    },
+  });
+  return {
+    body: pipeline(body, transform, () => {}),
+    metadata: encryptionMetadata(keyId, encryptedKey, iv),
+  };
+}
+
+// The auth tag is the last bytes of the body, so those are held back until
+// the end. Plaintext is passed on before it can be authenticated, a body
+// that was tampered with makes the stream fail at the end.
+async function decryptStream(body, metadata, keyProvider) {
+  const { plaintextKey, iv } = await unwrapDataKey(metadata, keyProvider);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', plaintextKey, iv);
+  let tail = Buffer.alloc(0);
+  const transform = new Transform({
+    transform(chunk, encoding, callback) {
+      const data = Buffer.concat([tail, chunk]);
+      tail = data.subarray(Math.max(0, data.length - TAG_LENGTH));
+      callback(null, decipher.update(data.subarray(0, data.length - tail.length)));
+    },
+    flush(callback) {
+      try {
+        decipher.setAuthTag(tail);
+        callback(null, decipher.final());
+      } catch (err) {
+        callback(new EncryptionError(`Failed to decrypt: ${err.message}`, { cause: err }));
+      }
+    },
+  });
+  return pipeline(body, transform, () => {});
+}
+
+function encryptionMetadata(keyId, encryptedKey, iv) {
+  return {
+    [METADATA_ENCRYPTION]: ALGORITHM,
+    [METADATA_KEY_ID]: keyId,
+    [METADATA_DATA_KEY]: Buffer.from(encryptedKey).toString('base64'),
+    [METADATA_IV]: iv.toString('base64'),
+  };
+}
+
+// Resolves to the plaintext data key and IV an object was encrypted with
+async function unwrapDataKey(metadata, keyProvider) {
+  if (metadata[METADATA_ENCRYPTION] !== ALGORITHM) {
+    throw new EncryptionError(`Unsupported encryption algorithm: ${metadata[METADATA_ENCRYPTION]}`);
+  }
+  const encryptedKey = Buffer.from(metadata[METADATA_DATA_KEY], 'base64');
+  const plaintextKey = await keyProvider.decryptDataKey(encryptedKey, metadata[METADATA_KEY_ID]);
+  return { plaintextKey, iv: Buffer.from(metadata[METADATA_IV], 'base64') };
+}
+
+function isEncrypted(metadata) {
+  return !!(metadata && metadata[METADATA_ENCRYPTION]);
+}
+
+// Returns the ID of the key an object's data key was wrapped with
+function encryptionKeyId(metadata) {
+  return metadata && metadata[METADATA_KEY_ID];
+}
+
+// Returns metadata without the encryption entries
+function withoutEncryptionMetadata(metadata = {}) {
+  const rest = { ...metadata };
+  for (const name of [METADATA_ENCRYPTION, METADATA_KEY_ID, METADATA_DATA_KEY, METADATA_IV]) {
+    delete rest[name];
+  }
+  return rest;
+}
+
+function encrypt(key, iv, plaintext) {
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { ciphertext, tag: cipher.getAuthTag() };
+}
+
+function decrypt(key, iv, ciphertext, tag) {
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  } catch (err) {
+    throw new EncryptionError(`Failed to decrypt: ${err.message}`, { cause: err });
+  }
+}
+
+module.exports = {
+  LocalKeyringProvider,
+  KmsKeyProvider,
+  encryptBody,
+  decryptBody,
+  encryptStream,
+  decryptStream,
+  isEncrypted,
+  encryptionKeyId,
+  withoutEncryptionMetadata,
+};
@@ -0,0 +1,124 @@
+// Base class for errors thrown by S3DB, carries the bucket and key the
+// operation was working on along with the underlying error (if any). `code`
+// is the S3 error code of the cause, e.g. 'NoSuchKey' or 'SlowDown'.
+class S3DBError extends Error {
+  constructor(message, { bucket, key, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.bucket = bucket;
+    this.key = key;
+    if (cause !== undefined) {
+      this.cause = cause;
+      this.code = cause.Code || cause.name;
+    }
+  }
+}
+
+// Thrown when the object does not exist. A missing bucket is a plain
+// S3DBError, so returnNullIfNotFound doesn't hide a misspelled bucket name.
+class NotFoundError extends S3DBError {}
+
+// Thrown when the credentials in use are not allowed to perform the
+// operation, including being denied use of the KMS key
+class AccessDeniedError extends S3DBError {}
+
+// Thrown when a conditional write (ifMatch / ifNoneMatch) fails because the
+// object was changed, or already exists, since it was last read
+class ConflictError extends S3DBError {}
+
+// Thrown when data does not match a collection's JSON Schema. `errors` lists
+// each violation as { path, message, keyword }, where path is a JSON Pointer
+// into the data, e.g. '/address/zip'
+class ValidationError extends S3DBError {
+  constructor(message, { errors = [], ...details } = {}) {
+    super(message, details);
+    this.errors = errors;
+  }
+}
+
+// Thrown when an object's body could not be parsed, e.g. invalid JSON
+class ParseError extends S3DBError {}
+
+// Thrown when S3 asks us to slow down (503 SlowDown, 429 and friends)
+class ThrottledError extends S3DBError {}
+
+// Thrown when an operation takes longer than its timeoutMs option allows
+class TimeoutError extends S3DBError {}
+
+// Thrown when a client-side encrypted object can't be encrypted or
+// decrypted, e.g. its key is not available or the ciphertext was tampered with
+class EncryptionError extends S3DBError {}
+
+// Thrown when a lock is held by someone else, or a lease turns out to have
+// been taken over. `owner` and `expiresAt` describe the current holder, if known.
+class LockError extends S3DBError {
+  constructor(message, { owner, expiresAt, ...details } = {}) {
+    super(message, details);
+    this.owner = owner;
+    this.expiresAt = expiresAt;
+  }
+}
+
+// Thrown when a JSON Patch can't be applied, e.g. a path does not exist or a
+// test operation fails. `index` is the position of the failing operation.
+class PatchError extends S3DBError {
+  constructor(message, { index, ...details } = {}) {
+    super(message, details);
+    this.index = index;
+  }
+}
+
+const NOT_FOUND_CODES = ['NoSuchKey', 'NotFound', 'NoSuchVersion'];
+const ACCESS_DENIED_CODES = ['AccessDenied', 'Forbidden', 'AccessDeniedException', 'InvalidAccessKeyId',
+  'SignatureDoesNotMatch', 'KMS.AccessDeniedException'];
+const CONFLICT_CODES = ['PreconditionFailed', 'ConditionalRequestConflict'];
+const THROTTLED_CODES = ['SlowDown', 'Throttling', 'ThrottlingException', 'RequestLimitExceeded',
+  'TooManyRequestsException', 'RequestThrottled', 'ServiceUnavailable'];
+
+// Maps an error thrown by the AWS SDK to the matching S3DB error class,
+// anything unrecognised becomes a plain S3DBError. Errors that already are
+// S3DB errors are returned unchanged. `context` replaces the default
+// description at the start of the message.
+function toS3DBError(err, { bucket, key, context } = {}) {
+  if (err instanceof S3DBError) {
+    return err;
+  }
+
+  const code = err.Code || err.name;
+  const status = err.$metadata && err.$metadata.httpStatusCode;
+  const location = key ? `s3://${bucket}/${key}` : `s3://${bucket}`;
+  const details = { bucket, key, cause: err };
+  const message = context && `${context}: ${err.message}`;
+
+  if (CONFLICT_CODES.includes(code) || status === 412 || status === 409) {
+    return new ConflictError(message || `Conditional request failed for ${location}: ${err.message}`, details);
+  }
+  if (code === 'NoSuchBucket') {
+    return new S3DBError(message || `Bucket not found: s3://${bucket}`, details);
+  }
+  if (NOT_FOUND_CODES.includes(code) || status === 404) {
+    return new NotFoundError(message || `Object not found: ${location}`, details);
+  }
+  if (ACCESS_DENIED_CODES.includes(code) || status === 403) {
+    return new AccessDeniedError(message || `Access denied to ${location}: ${err.message}`, details);
+  }
+  if (THROTTLED_CODES.includes(code) || status === 503 || status === 429) {
+    return new ThrottledError(message || `Request throttled for ${location}: ${err.message}`, details);
+  }
+  return new S3DBError(message || `S3 request failed for ${location}: ${err.message}`, details);
+}
+
+module.exports = {
+  S3DBError,
+  NotFoundError,
+  AccessDeniedError,
+  ConflictError,
+  ValidationError,
+  ParseError,
+  ThrottledError,
+  TimeoutError,
+  EncryptionError,
+  LockError,
+  PatchError,
+  toS3DBError,
+};
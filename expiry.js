@@ -0,0 +1,75 @@
+const { METADATA_EXPIRES_AT } = require('./reserved');
+
+// Record expiry. An object put with the ttlMs or expiresAt option carries
+// the time it expires at in its metadata, after which get() and exists()
+// treat it as missing. Nothing deletes it from S3 by itself though, that
+// is up to sweepExpired() or a lifecycle rule.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Resolves the ttlMs / expiresAt options of put() to the Date the object
+// expires at, or null when neither is given. expiresAt can be a Date, an
+// ISO 8601 string or milliseconds since the epoch.
+function expiryOf({ ttlMs, expiresAt }) {
+  if (ttlMs !== undefined && expiresAt !== undefined) {
+    throw new Error('Invalid expiry: pass either ttlMs or expiresAt, not both.');
+  }
+  if (ttlMs !== undefined) {
+    if (typeof ttlMs !== 'number' || !(ttlMs > 0)) {
+      throw new Error(`Invalid ttlMs: ${ttlMs}. ttlMs must be a positive number.`);
+    }
+    return new Date(Date.now() + ttlMs);
+  }
+  if (expiresAt !== undefined) {
+    const date = new Date(expiresAt);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid expiresAt: ${expiresAt}. expiresAt must be a Date, an ISO 8601 string or a timestamp.`);
+    }
+    return date;
+  }
+  return null;
+}
+
+function expiryMetadata(expiresAt) {
+  return { [METADATA_EXPIRES_AT]: expiresAt.toISOString() };
+}
+
+// The Date an object expires at, from its metadata, or undefined
+function expiresAtOf(metadata = {}) {
+  const expiresAt = metadata[METADATA_EXPIRES_AT];
+  return expiresAt ? new Date(expiresAt) : undefined;
+}
+
+function isExpired(expiresAt) {
+  return !!expiresAt && expiresAt.getTime() <= Date.now();
+}
+
+// Strips our own metadata, leaving the user's
+function withoutExpiryMetadata(metadata = {}) {
+  const rest = { ...metadata };
+  delete rest[METADATA_EXPIRES_AT];
+  return rest;
+}
+
+// A rule for PutBucketLifecycleConfiguration expiring every object under
+// prefix ttlMs after it was last written. Lifecycle rules can't look at
+// metadata and count in whole days, so ttlMs is rounded up to days.
+function lifecycleRule(prefix, { ttlMs, id } = {}) {
+  if (typeof ttlMs !== 'number' || !(ttlMs > 0)) {
+    throw new Error(`Invalid ttlMs: ${ttlMs}. ttlMs must be a positive number.`);
+  }
+  return {
+    ID: id || `s3db-expire-${prefix}`,
+    Status: 'Enabled',
+    Filter: { Prefix: prefix },
+    Expiration: { Days: Math.ceil(ttlMs / DAY_MS) },
+  };
+}
+
+module.exports = {
+  expiryOf,
+  expiryMetadata,
+  expiresAtOf,
+  isExpired,
+  withoutExpiryMetadata,
+  lifecycleRule,
+};
@@ -0,0 +1,65 @@
+const logger = require('./logger');
+
+// The writes hooks can be registered for, '*' registers for all of them
+const OPERATIONS = ['put', 'putRaw', 'update', 'delete', 'deleteRaw', 'copy', 'move'];
+// Writes whose data a before hook can replace
+const TRANSFORMABLE = ['put', 'putRaw', 'update'];
+
+// The before and after hooks of an S3DB instance. Each hook is called with
+// the write's context, { operation, key, s3Key, data, previous, newKey,
+// newS3Key, options } with whichever of those apply, and may be async.
+// After hooks get the context with the write's `result` too.
+class Hooks {
+  constructor() {
+    this.hooks = { before: [], after: [] };
+  }
+
+  // Registers fn, returns a function that removes it again
+  add(stage, operation, fn) {
+    if (operation !== '*' && !OPERATIONS.includes(operation)) {
+      throw new Error(`Invalid operation: ${operation}. Operation must be '*' or one of ${OPERATIONS.join(', ')}.`);
+    }
+    if (typeof fn !== 'function') {
+      throw new Error(`Invalid hook: ${fn}. Hook must be a function.`);
+    }
+    const hook = { operation, fn };
+    this.hooks[stage].push(hook);
+    return () => {
+      this.hooks[stage] = this.hooks[stage].filter(other => other !== hook);
+    };
+  }
+
+  // Runs the before hooks in the order they were added. A hook vetoes the
+  // write by throwing, and can replace what a put, putRaw or update writes
+  // by returning the new data; context.data is updated for the next hook.
+  async runBefore(context) {
+    for (const fn of this.matching('before', context.operation)) {
+      const result = await fn(context);
+      if (result !== undefined && TRANSFORMABLE.includes(context.operation)) {
+        context.data = result;
+      }
+    }
+  }
+
+  // Runs the after hooks. The write has happened by then, so a hook that
+  // fails is logged rather than failing the call.
+  async runAfter(context) {
+    for (const fn of this.matching('after', context.operation)) {
+      try {
+        await fn(context);
+      } catch (err) {
+        logger.error(`S3DB: After hook for ${context.operation} of ${context.s3Key} failed: ${err.message}`);
+      }
+    }
+  }
+
+  matching(stage, operation) {
+    return this.hooks[stage]
+      .filter(hook => hook.operation === operation || hook.operation === '*')
+      .map(hook => hook.fn);
+  }
+}
+
+module.exports = {
+  Hooks,
+};
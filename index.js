@@ -1,10 +1,97 @@
-const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, HeadObjectCommand, ListObjectsV2Command, CopyObjectCommand } = require('@aws-sdk/client-s3');
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, DeleteObjectsCommand, HeadObjectCommand, ListObjectsV2Command, ListObjectVersionsCommand, CopyObjectCommand, GetObjectTaggingCommand } = require('@aws-sdk/client-s3');
 const { Upload } = require('@aws-sdk/lib-storage');
+const EventEmitter = require('events');
 const logger = require('./logger');
+const {
+  S3DBError,
+  NotFoundError,
+  AccessDeniedError,
+  ConflictError,
+  ValidationError,
+  ParseError,
+  ThrottledError,
+  TimeoutError,
+  EncryptionError,
+  LockError,
+  PatchError,
+  toS3DBError,
+} = require('./errors');
+const MemoryS3Client = require('./memoryClient');
+const { matchesFilter, projectFields, encodeCursor, decodeCursor } = require('./query');
+const { mapWithConcurrency, chunk } = require('./pool');
+const { resolveRetryPolicy, withRetry } = require('./retry');
+const {
+  LocalKeyringProvider,
+  KmsKeyProvider,
+  encryptBody,
+  decryptBody,
+  encryptStream,
+  decryptStream,
+  isEncrypted,
+  encryptionKeyId,
+  withoutEncryptionMetadata,
+} = require('./encryption');
+const {
+  validateCompression,
+  compressBody,
+  decompressBody,
+  compressStream,
+  decompressStream,
+  compressionOf,
+  contentEncodingFor,
+  withoutCompressionMetadata,
+} = require('./compression');
+const { registerSerializer, getSerializer, typeReplacer, typeReviver } = require('./serializers');
+const { LruCache, resolveCache, cacheGeneration, bumpCacheGeneration } = require('./cache');
+const { acquireLock, withLock } = require('./lock');
+const Sequence = require('./sequence');
+const { validateMergeStrategy, mergeData, applyJsonPatch, clone } = require('./patch');
+const { expiryOf, expiryMetadata, expiresAtOf, isExpired, withoutExpiryMetadata, lifecycleRule } = require('./expiry');
+const { Hooks } = require('./hooks');
+const { ChangeLog } = require('./changelog');
+const { LOCK_PREFIX, SEQUENCE_PREFIX, CHANGES_PREFIX, isReserved, assertNotReserved } = require('./reserved');
+const { exportTo, importFrom, sync } = require('./transfer');
 const path = require('path');
 
-class S3DB {
-  constructor(bucketName, prefix = '', kmsKeyId = '') {
+// Counters are written to concurrently by design, so increment() retries
+// conflicts more readily than update()
+const DEFAULT_INCREMENT_RETRIES = 10;
+
+// S3DB is an EventEmitter: after each successful put, putRaw, update,
+// delete, deleteRaw, copy and move it emits the operation's name and
+// 'change', with the context its after hooks get (see before()).
+class S3DB extends EventEmitter {
+  // The third argument can be either the KMS key ID or an options object:
+  // - kmsKeyId: KMS key ID or alias to use for server-side encryption
+  // - client: a ready-made S3Client (or compatible, e.g. MemoryS3Client)
+  // - clientConfig: configuration passed to new S3Client(), e.g. region,
+  //   endpoint, credentials, forcePathStyle
+  // - concurrency: default number of parallel requests for batch operations
+  // - retry: retry policy, see retry.js, e.g. { maxAttempts: 5 }
+  // - timeoutMs: default timeout for each S3 request, including its retries
+  // - keyProvider: encrypt objects client-side before uploading them, e.g.
+  //   new KmsKeyProvider({ keyId }), see encryption.js
+  // - compression: 'gzip' or 'brotli' to compress objects on put/putRaw,
+  //   see compression.js
+  // - serializer: how put/get encode records, the name of a registered
+  //   serializer or a serializer object (default 'json'), see serializers.js
+  // - replacer / reviver: passed to the serializer, e.g. to JSON.stringify
+  //   and JSON.parse, see typeReplacer and typeReviver
+  // - cache: cache what getRaw/get/getString read, true for an in-memory LRU
+  //   or { ttlMs, maxEntries, adapter }, see cache.js
+  // - changeLog: true to log every write under <prefix>/_changes/, bulk
+  //   deletes, restores, transactions and syncs included, see changes() and
+  //   changelog.js
+  //
+  // Every method also accepts `retry`, `timeoutMs` and an AbortSignal as
+  // `signal` in its options, overriding the instance defaults for that call.
+  constructor(bucketName, prefix = '', kmsKeyId = '', options = {}) {
+    super();
+    if (kmsKeyId && typeof kmsKeyId === 'object') {
+      options = kmsKeyId;
+      kmsKeyId = options.kmsKeyId || '';
+    }
+
     if (typeof bucketName !== 'string') {
       throw new Error(`Invalid bucket name: ${bucketName}. Bucket name must be a string.`);
     }
@@ -12,291 +99,1845 @@ class S3DB {
     if (typeof prefix !== 'string') {
       throw new Error(`Invalid prefix: ${prefix}. Prefix must be a string.`);
     }
-
-    if (kmsKeyId && typeof kmsKeyId !== 'string') {
-      throw new Error(`Invalid KMS key ID: ${kmsKeyId}. KMS key ID must be a string.`);
+
+    if (kmsKeyId && typeof kmsKeyId !== 'string') {
+      throw new Error(`Invalid KMS key ID: ${kmsKeyId}. KMS key ID must be a string.`);
+    }
+
+    if (options.client && options.clientConfig) {
+      throw new Error('Invalid options: pass either client or clientConfig, not both.');
+    }
+
+    if (options.client && typeof options.client.send !== 'function') {
+      throw new Error('Invalid client: client must be an S3Client or implement send(command).');
+    }
+
+    if (options.keyProvider && (typeof options.keyProvider.generateDataKey !== 'function' ||
+        typeof options.keyProvider.decryptDataKey !== 'function')) {
+      throw new Error('Invalid keyProvider: keyProvider must implement generateDataKey() and decryptDataKey().');
+    }
+
+    this.bucketName = bucketName;
+    this.prefix = prefix;
+    this.kmsKeyId = kmsKeyId;
+    this.options = options;
+    this.keyProvider = options.keyProvider || null;
+    this.compression = options.compression || null;
+    validateCompression(this.compression);
+
+    this.serializer = getSerializer(options.serializer || 'json');
+    for (const hook of ['replacer', 'reviver']) {
+      if (options[hook] && typeof options[hook] !== 'function') {
+        throw new Error(`Invalid ${hook}: ${options[hook]}. ${hook} must be a function.`);
+      }
+    }
+
+    // Use the client we were given, otherwise create an S3 client instance
+    this.s3Client = options.client || new S3Client(options.clientConfig || {});
+
+    // fail fast on an invalid retry policy
+    resolveRetryPolicy(options.retry);
+
+    this.cache = resolveCache(options.cache);
+    this.cacheStats = { hits: 0, misses: 0, revalidations: 0 };
+
+    this.hooks = new Hooks();
+    // collections share the change log of the instance they derive from
+    if (options.changeLog instanceof ChangeLog) {
+      this.changeLog = options.changeLog;
+    } else if (options.changeLog) {
+      this.changeLog = new ChangeLog(this._reservedDb(CHANGES_PREFIX));
+    } else {
+      this.changeLog = null;
+    }
+  }
+
+  // Returns a Collection, an S3DB scoped to <prefix>/<name> that shares this
+  // instance's client and settings. Options:
+  // - schema: JSON Schema that every put/update is validated against
+  // - validateOnRead: validate on get as well
+  collection(name, options = {}) {
+    // required here rather than at the top since Collection extends S3DB
+    const Collection = require('./collection');
+    return new Collection(this, name, options);
+  }
+
+  // Runs fn(tx) and applies the puts and deletes it stages on tx all or
+  // none, resolving to what fn resolved to. tx has get, put, putRaw, delete
+  // and deleteRaw; records read with tx.get must not change before the
+  // transaction commits. A conflict throws a ConflictError and leaves every
+  // key as it was. See transaction.js for how it works.
+  async transaction(fn) {
+    if (typeof fn !== 'function') {
+      throw new Error(`Invalid transaction: ${fn}. Transaction must be a function.`);
+    }
+    const { Transaction } = require('./transaction');
+    return await new Transaction(this).run(fn);
+  }
+
+  // Finishes transactions left behind by processes that died while
+  // committing them, rolling each forward or back. Only looks at
+  // transactions older than olderThanMs (default 5 minutes), so as not to
+  // interfere with ones still running. Resolves to { committed, rolledBack }.
+  async recover(options = {}) {
+    const { recoverTransactions } = require('./transaction');
+    return await recoverTransactions(this, options);
+  }
+
+  // Internal: called by a transaction before it writes anything, with the
+  // operations it is about to apply ({ type, key, data }). Resolves to a
+  // function run once the transaction has committed. Transactions write
+  // around _put() and _delete(), so collections validate and index their
+  // records here; there is nothing to do for a plain S3DB.
+  async _prepareTransaction(operations) {
+    return async () => {};
+  }
+
+  // Acquires a lock stored in the bucket under <prefix>/_locks/, resolving
+  // to a lease with renew() and release(). A lease that isn't renewed within
+  // ttlMs can be taken over by the next caller. Options:
+  // - ttlMs: how long the lease lasts without renewal, 30 seconds by default
+  // - owner: who holds the lock, for diagnostics, by default host:pid
+  // - waitMs: how long to wait for a lock that is held before throwing a
+  //   LockError, 0 by default; retryDelayMs sets how often to check
+  async acquireLock(name, options = {}) {
+    return await acquireLock(this._reservedDb(LOCK_PREFIX), name, options);
+  }
+
+  // Runs fn(lease) while holding the lock, renewing the lease as needed and
+  // releasing it afterwards. Resolves to what fn resolved to.
+  async withLock(name, fn, options = {}) {
+    return await withLock(this._reservedDb(LOCK_PREFIX), name, fn, options);
+  }
+
+  // Options for S3DB instances derived from this one, so they share the client
+  childOptions() {
+    return {
+      ...this.options,
+      kmsKeyId: this.kmsKeyId,
+      client: this.s3Client,
+      clientConfig: undefined,
+      cache: this.cache && { adapter: this.cache.adapter, ttlMs: this.cache.ttlMs },
+      changeLog: this.changeLog,
+    };
+  }
+
+  // Internal: an S3DB scoped to one of the reserved prefixes (see
+  // reserved.js) under this one, which S3DB keeps its own bookkeeping in.
+  // Bookkeeping is always plain JSON, whatever serializer, replacer and
+  // reviver records use, and its writes are never logged to the change log.
+  _reservedDb(reservedPrefix) {
+    return new S3DB(this.bucketName, joinPath(this.prefix, reservedPrefix), {
+      ...this.childOptions(),
+      serializer: 'json',
+      replacer: undefined,
+      reviver: undefined,
+      changeLog: false,
+    });
+  }
+
+  // Registers a hook run before each write of the given operation ('put',
+  // 'putRaw', 'update', 'delete', 'deleteRaw', 'copy', 'move', or '*' for
+  // all of them), see hooks.js. fn(context) gets { operation, key, s3Key,
+  // options } plus `data` for puts and updates, `previous` (the record
+  // before the update) for updates and `newKey` / `newS3Key` for copies and
+  // moves. Throwing vetoes the write, returning data replaces what a put or
+  // update writes. Hooks on update may run again when the update is retried.
+  // Returns a function that removes the hook.
+  before(operation, fn) {
+    return this.hooks.add('before', operation, fn);
+  }
+
+  // Registers a hook run after each successful write, with the context
+  // before() hooks get plus the write's `result`. A failing after hook is
+  // logged, as the write has already happened.
+  after(operation, fn) {
+    return this.hooks.add('after', operation, fn);
+  }
+
+  // Reads the change log (see the changeLog option), resolving to
+  // { changes, checkpoint }: up to `limit` (default 100) changes after the
+  // checkpoint `since`, oldest first. Each change is { id, at, operation,
+  // key, keys, newKey, data, etag, versionId, transactionId }, keys being
+  // full S3 keys. Pass the checkpoint as `since` next time to read on from
+  // there.
+  async changes(options = {}) {
+    if (!this.changeLog) {
+      throw new Error('No change log: construct S3DB with { changeLog: true } to log changes.');
+    }
+    return await this.changeLog.read(options);
+  }
+
+  // Internal: runs write(context) after the before hooks, then appends to
+  // the change log and runs the after hooks and listeners. Writes made with
+  // { hooks: false } skip all of that, e.g. S3DB's own bookkeeping. Keys
+  // under the reserved prefixes are rejected either way, S3DB writes those
+  // through _reservedDb().
+  async _withHooks(context, write) {
+    for (const key of [context.key, context.newKey]) {
+      if (key !== undefined) {
+        assertNotReserved(key);
+      }
+    }
+    if (context.options.hooks === false) {
+      return await write(context);
+    }
+    await this.hooks.runBefore(context);
+    const result = await write(context);
+    const change = { ...context, result };
+    await this._logChange(change);
+    await this.hooks.runAfter(change);
+    for (const event of [context.operation, 'change']) {
+      try {
+        this.emit(event, change);
+      } catch (err) {
+        logger.error(`S3DB: Listener for ${event} of ${context.s3Key} failed: ${err.message}`);
+      }
+    }
+    return result;
+  }
+
+  // Internal: appends a write to the change log, if there is one. The write
+  // has already happened, so like a failed after hook a failed append is
+  // logged rather than failing the call. Writes made with { hooks: false }
+  // aren't logged.
+  async _logChange(change, options = change.options || {}) {
+    if (!this.changeLog || options.hooks === false) {
+      return;
+    }
+    try {
+      await this.changeLog.append(change);
+    } catch (err) {
+      logger.error(`S3DB: Failed to log ${change.operation} of ${change.s3Key || change.s3Keys.join(', ')} to the change log: ${err.message}`);
+    }
+  }
+
+  // Returns the S3 key a record is stored at, e.g. 'U12345' => 'users/U12345.json'
+  fullyQualifiedKey(key) {
+    return joinPath(this.prefix, ensureExtension(key, this.serializer.extension));
+  }
+
+  // Stores data (a string, Buffer or stream) as is. Like put(), accepts:
+  // - contentType: e.g. 'image/png', otherwise S3 uses application/octet-stream
+  // - cacheControl: e.g. 'max-age=3600'
+  // - metadata: user metadata, an object of string values
+  // - tags: S3 object tags, an object of string values
+  // - ttlMs / expiresAt: when the object expires, in milliseconds from now
+  //   or as a Date. Once expired, get() and exists() treat it as missing
+  //   until sweepExpired() deletes it.
+  // Streams are uploaded as they are read, see putStream(). Pass
+  // { hooks: false } to skip hooks, events and the change log.
+  async putRaw(key, data, options = {}) {
+    const context = { operation: 'putRaw', key, s3Key: joinPath(this.prefix, key), data, options };
+    return await this._withHooks(context, ({ data }) => this._putRaw(key, data, options));
+  }
+
+  async _putRaw(key, data, options = {}) {
+    const params = await this._rawParams(key, data, options);
+    logger.trace(`S3DB: Uploading raw object: s3://${this.bucketName}/${params.Key}`);
+    return await this._upload(params, options);
+  }
+
+  // Uploads a readable stream without holding it in memory, compressing and
+  // encrypting it on the way if the instance is configured to. Large
+  // streams are sent as a multipart upload. Options:
+  // - partSize: bytes per part, at least (and by default) 5 MiB
+  // - queueSize: number of parts uploaded in parallel, 4 by default
+  // - onProgress: called with { loaded, total, part } as parts are sent,
+  //   total is undefined when the length of the stream isn't known
+  // A stream can only be read once, so the upload is never retried. Also
+  // accepts the options of putRaw().
+  async putStream(key, stream, options = {}) {
+    if (!stream || typeof stream[Symbol.asyncIterator] !== 'function') {
+      throw new Error(`Invalid stream for key ${key}: stream must be a readable stream.`);
+    }
+    return await this.putRaw(key, stream, options);
+  }
+
+  // Stores data encoded by the instance's serializer, JSON by default.
+  // Supports conditional writes:
+  // - ifMatch: only write if the current object's ETag matches
+  // - ifNoneMatch: '*' to only write if the key does not exist yet
+  // A failed condition throws a ConflictError. Resolves to the ETag and
+  // VersionId of the newly written object. Also accepts the contentType,
+  // cacheControl, metadata, tags, ttlMs, expiresAt and hooks options of
+  // putRaw().
+  async put(key, data, options = {}) {
+    const context = { operation: 'put', key, s3Key: this.fullyQualifiedKey(key), data, options };
+    return await this._withHooks(context, ({ data }) => this._put(key, data, options));
+  }
+
+  // Internal: put() without the hooks, what update() writes through
+  async _put(key, data, options = {}) {
+    const params = await this._recordParams(key, data, options);
+    logger.trace(`S3DB: Uploading object: s3://${this.bucketName}/${params.Key}`);
+    return await this._upload(params, options);
+  }
+
+  // Internal: builds the PutObject params for putRaw(), body encoded
+  async _rawParams(key, data, options = {}) {
+    return await this._objectParams({
+      Bucket: this.bucketName,
+      Key: joinPath(this.prefix, key),
+      Body: data,
+    }, options);
+  }
+
+  // Internal: builds the PutObject params for put(), body encoded
+  async _recordParams(key, data, options = {}) {
+    return await this._objectParams({
+      Bucket: this.bucketName,
+      Key: joinPath(this.prefix, ensureExtension(key, this.serializer.extension)),
+      Body: this.serializer.encode(data, {
+        replacer: this.options.replacer,
+        pretty: !!options.formatForReadability,
+      }),
+      ContentType: this.serializer.contentType,
+    }, options);
+  }
+
+  async _objectParams(params, options) {
+    // Add ServerSideEncryption parameters if KMS key is provided
+    if (this.kmsKeyId) {
+      params.ServerSideEncryption = 'aws:kms';
+      params.SSEKMSKeyId = this.kmsKeyId;
+    }
+
+    addObjectParams(params, options);
+    const expiresAt = expiryOf(options);
+    if (expiresAt) {
+      params.Metadata = { ...params.Metadata, ...expiryMetadata(expiresAt) };
+    }
+    await this._encodeBody(params, options);
+    addConditionalParams(params, options);
+    return params;
+  }
+
+  // Internal: compresses and then encrypts the body, as configured on the
+  // instance. Pass { compression: false } or { encrypt: false } to store a
+  // particular object uncompressed or in plaintext.
+  async _encodeBody(params, options = {}) {
+    const compression = options.compression !== undefined ? options.compression : this.compression;
+    validateCompression(compression);
+    if (compression) {
+      const { body, metadata } = isReplayable(params.Body)
+        ? await compressBody(await readBody(params.Body), compression)
+        : compressStream(params.Body, compression);
+      params.Body = body;
+      params.Metadata = { ...params.Metadata, ...metadata };
+    }
+
+    const encrypted = await this._encryptBody(params, options);
+    if (compression && !encrypted) {
+      params.ContentEncoding = contentEncodingFor(compression);
+    }
+  }
+
+  // Internal: replaces the body with its ciphertext and adds the metadata
+  // needed to decrypt it when a keyProvider is configured. Resolves to
+  // whether the body was encrypted.
+  async _encryptBody(params, options = {}) {
+    if (!this.keyProvider || options.encrypt === false) {
+      return false;
+    }
+    try {
+      const { body, metadata } = isReplayable(params.Body)
+        ? await encryptBody(await readBody(params.Body), this.keyProvider)
+        : await encryptStream(params.Body, this.keyProvider);
+      params.Body = body;
+      params.Metadata = { ...params.Metadata, ...metadata };
+      return true;
+    } catch (err) {
+      throw this._encryptionError(err, 'encrypt', params.Key);
+    }
+  }
+
+  // Internal: runs the upload, mapping SDK errors to S3DB errors. A stream
+  // body can only be read once, so those uploads are never retried. Takes
+  // the partSize, queueSize and onProgress options of putStream().
+  async _upload(params, options = {}) {
+    if (options.partSize !== undefined && !(options.partSize >= Upload.MIN_PART_SIZE)) {
+      throw new Error(`Invalid partSize: ${options.partSize}. partSize must be at least ${Upload.MIN_PART_SIZE} bytes.`);
+    }
+    const requestOptions = isReplayable(params.Body) ? options : { ...options, retry: false };
+
+    try {
+      return await this._request(params.Key, requestOptions, async signal => {
+        const upload = new Upload({
+          client: this.s3Client,
+          params,
+          partSize: options.partSize,
+          queueSize: options.queueSize,
+        });
+        if (options.onProgress) {
+          upload.on('httpUploadProgress', ({ loaded, total, part }) => options.onProgress({ loaded, total, part }));
+        }
+        const abort = () => upload.abort();
+        signal.addEventListener('abort', abort, { once: true });
+
+        try {
+          const result = await upload.done();
+          return { etag: result.ETag, versionId: result.VersionId };
+        } finally {
+          signal.removeEventListener('abort', abort);
+        }
+      });
+    } catch (err) {
+      if (err instanceof ConflictError) {
+        logger.trace(`S3DB: Conditional write failed for: s3://${this.bucketName}/${params.Key}`);
+      }
+      throw err;
+    } finally {
+      // a failed write may still have gone through, e.g. on a timeout
+      await this._invalidate(params.Key);
+    }
+  }
+
+  // Internal: sends a command to S3 with the retry policy, timeout and abort
+  // signal from options. The optional context replaces the generic
+  // description in the error message.
+  async _send(command, key, options = {}, context) {
+    return await this._request(key, options, signal => this.s3Client.send(command, { abortSignal: signal }), context);
+  }
+
+  // Internal: runs fn(signal) with retries, mapping SDK errors to S3DB errors
+  async _request(key, options, fn, context) {
+    const policy = resolveRetryPolicy(this.options.retry, options.retry);
+    return await withRetry(async signal => {
+      try {
+        return await fn(signal);
+      } catch (err) {
+        throw toS3DBError(err, { bucket: this.bucketName, key, context });
+      }
+    }, {
+      policy,
+      signal: options.signal,
+      timeoutMs: options.timeoutMs || this.options.timeoutMs,
+      describe: () => ({ bucket: this.bucketName, key }),
+      onRetry: (err, attempt, delay) => {
+        logger.warn(`S3DB: Request for s3://${this.bucketName}/${key} failed with ${err.code || err.name}, retrying in ${delay}ms (attempt ${attempt} of ${policy.maxAttempts})`);
+      },
+    });
+  }
+
+  // Pass { versionId } to get a particular version of the object, see
+  // listVersions(). Pass { withMetadata: true } to get back the body along
+  // with everything head() returns, { body, size, lastModified, etag, ... }
+  // Pass { range } to only fetch part of the object, see getStream(). With a
+  // cache configured, pass { cache: false } to bypass it. An object whose
+  // expiry has passed throws a NotFoundError, unless { includeExpired: true }.
+  async getRaw(key, options = {}) {
+    const s3Key = joinPath(this.prefix, key);
+    const params = {
+      Bucket: this.bucketName,
+      Key: s3Key,
+    };
+    if (options.versionId) {
+      params.VersionId = options.versionId;
+    }
+    if (options.range) {
+      params.Range = formatRange(options.range);
+    }
+    logger.trace(`S3DB: Retrieving object: s3://${this.bucketName}/${s3Key}`);
+
+    try {
+      const { body, info } = await this._getCached(params, options);
+      if (isExpired(info.expiresAt) && !options.includeExpired) {
+        throw this._expiredError(s3Key, info.expiresAt);
+      }
+      if (options.withMetadata) {
+        return { body, ...info };
+      }
+      if (options.withETag) {
+        return { body, etag: info.etag, versionId: info.versionId };
+      }
+      return body;
+    } catch (err) {
+      if (err instanceof NotFoundError && options.returnNullIfNotFound) {
+        logger.trace(`S3DB: Object not found: s3://${this.bucketName}/${s3Key}`);
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  // Internal: gets an object through the cache, if there is one. Resolves to
+  // { body, info }, info being what head() returns. A fresh entry is served
+  // without a request, an expired one is revalidated with If-None-Match so
+  // S3 only sends the body again if the object has changed.
+  async _getCached(params, options = {}) {
+    if (!this.cache || params.VersionId || params.Range || options.cache === false) {
+      const { response, body } = await this._getObject(params, options);
+      return { body, info: objectInfo(response) };
+    }
+
+    const { adapter, ttlMs } = this.cache;
+    // instances in other buckets may share the adapter
+    const cacheKey = `${this.bucketName}/${params.Key}`;
+    const entry = await adapter.get(cacheKey);
+    if (entry && entry.expiresAt > Date.now()) {
+      this.cacheStats.hits++;
+      logger.trace(`S3DB: Cache hit for: s3://${this.bucketName}/${params.Key}`);
+      // a copy, so callers can't change what is cached
+      return { body: Buffer.from(entry.body), info: entry.info };
+    }
+
+    const generation = cacheGeneration(adapter);
+    let fresh;
+    let cacheable = true;
+    try {
+      const { response, body } = await this._getObject(entry ? { ...params, IfNoneMatch: entry.info.etag } : params, options);
+      this.cacheStats.misses++;
+      fresh = { body, info: objectInfo(response) };
+      // entries hold the decrypted body, which only stays in this process
+      // with the in-memory LRU
+      cacheable = !isEncrypted(response.Metadata) || adapter instanceof LruCache;
+    } catch (err) {
+      if (entry && isNotModified(err)) {
+        this.cacheStats.revalidations++;
+        fresh = { body: entry.body, info: entry.info };
+      } else {
+        this.cacheStats.misses++;
+        if (entry && err instanceof NotFoundError) {
+          await adapter.delete(cacheKey);
+        }
+        throw err;
+      }
+    }
+
+    if (cacheable && generation === cacheGeneration(adapter)) {
+      await adapter.set(cacheKey, { ...fresh, expiresAt: Date.now() + ttlMs });
+    }
+    return { body: Buffer.from(fresh.body), info: fresh.info };
+  }
+
+  // Internal: expired objects are reported as missing
+  _expiredError(s3Key, expiresAt) {
+    return new NotFoundError(`Object expired at ${expiresAt.toISOString()}: s3://${this.bucketName}/${s3Key}`, {
+      bucket: this.bucketName,
+      key: s3Key,
+    });
+  }
+
+  // Internal: drops an object this instance wrote or deleted from the cache
+  async _invalidate(s3Key) {
+    if (this.cache) {
+      bumpCacheGeneration(this.cache.adapter);
+      await this.cache.adapter.delete(`${this.bucketName}/${s3Key}`);
+    }
+  }
+
+  // Internal: gets an object and its body as a buffer, decrypted and
+  // decompressed if need be
+  async _getObject(params, options = {}) {
+    // reading the body happens inside the request so a connection dropped
+    // mid-download is retried as well
+    const { response, body } = await this._request(params.Key, options, async signal => {
+      const response = await this.s3Client.send(new GetObjectCommand(params), { abortSignal: signal });
+      return { response, body: await readBody(response.Body) };
+    });
+
+    this._checkDecodable(params, response);
+    let decoded = body;
+    if (isEncrypted(response.Metadata)) {
+      try {
+        decoded = await decryptBody(decoded, response.Metadata, this.keyProvider);
+      } catch (err) {
+        throw this._encryptionError(err, 'decrypt', params.Key);
+      }
+    }
+
+    const compression = compressionOf(response.Metadata, response.ContentEncoding);
+    if (compression) {
+      try {
+        decoded = await decompressBody(decoded, compression);
+      } catch (err) {
+        throw new ParseError(`Failed to decompress s3://${this.bucketName}/${params.Key}: ${err.message}`, {
+          bucket: this.bucketName,
+          key: params.Key,
+          cause: err,
+        });
+      }
+    }
+    return { response, body: decoded };
+  }
+
+  // Resolves to the object's body as a Node.js Readable, for objects too
+  // large to hold in memory. Client-side encrypted and compressed objects
+  // are decrypted and decompressed as they stream. Options:
+  // - range: only read part of the object, { start, end } with end
+  //   inclusive and optional, or a Range header like 'bytes=-500' for the
+  //   last 500 bytes. Not possible for compressed or encrypted objects.
+  // - versionId, returnNullIfNotFound, includeExpired: as for getRaw()
+  // Retries and timeoutMs cover the request, not reading the stream. An
+  // encrypted object is only authenticated once it has been read to the
+  // end, tampering makes the stream fail with an EncryptionError there.
+  async getStream(key, options = {}) {
+    const s3Key = joinPath(this.prefix, key);
+    const params = {
+      Bucket: this.bucketName,
+      Key: s3Key,
+    };
+    if (options.versionId) {
+      params.VersionId = options.versionId;
+    }
+    if (options.range) {
+      params.Range = formatRange(options.range);
+    }
+    logger.trace(`S3DB: Streaming object: s3://${this.bucketName}/${s3Key}`);
+
+    let response;
+    try {
+      response = await this._send(new GetObjectCommand(params), s3Key, options);
+      const expiresAt = expiresAtOf(response.Metadata);
+      if (isExpired(expiresAt) && !options.includeExpired) {
+        response.Body.destroy();
+        throw this._expiredError(s3Key, expiresAt);
+      }
+    } catch (err) {
+      if (err instanceof NotFoundError && options.returnNullIfNotFound) {
+        logger.trace(`S3DB: Object not found: s3://${this.bucketName}/${s3Key}`);
+        return null;
+      }
+      throw err;
+    }
+
+    let body = response.Body;
+    try {
+      this._checkDecodable(params, response);
+      if (isEncrypted(response.Metadata)) {
+        try {
+          body = await decryptStream(body, response.Metadata, this.keyProvider);
+        } catch (err) {
+          throw this._encryptionError(err, 'decrypt', s3Key);
+        }
+      }
+    } catch (err) {
+      response.Body.destroy();
+      throw err;
+    }
+
+    const compression = compressionOf(response.Metadata, response.ContentEncoding);
+    return compression ? decompressStream(body, compression) : body;
+  }
+
+  // Internal: throws if a fetched object can't be decoded, because it is
+  // encrypted and there is no keyProvider, or only a range of a compressed
+  // or encrypted object was fetched
+  _checkDecodable(params, response) {
+    const encrypted = isEncrypted(response.Metadata);
+    if (encrypted && !this.keyProvider) {
+      throw new EncryptionError(`Object s3://${this.bucketName}/${params.Key} is encrypted client-side but no keyProvider is configured`, {
+        bucket: this.bucketName,
+        key: params.Key,
+      });
+    }
+    if (params.Range && (encrypted || compressionOf(response.Metadata, response.ContentEncoding))) {
+      throw new S3DBError(`Can't read a byte range of s3://${this.bucketName}/${params.Key} as it is compressed or encrypted client-side`, {
+        bucket: this.bucketName,
+        key: params.Key,
+      });
+    }
+  }
+
+  // Internal: errors from the key provider are mapped like S3 errors, e.g.
+  // being denied use of the KMS key is an AccessDeniedError
+  _encryptionError(err, action, s3Key) {
+    const context = `Failed to ${action} s3://${this.bucketName}/${s3Key}`;
+    if (err instanceof EncryptionError) {
+      return new EncryptionError(`${context}: ${err.message}`, { bucket: this.bucketName, key: s3Key, cause: err.cause || err });
+    }
+    return toS3DBError(err, { bucket: this.bucketName, key: s3Key, context });
+  }
+
+  // Pass { withETag: true } to get back { data, etag, versionId } instead of
+  // just the data, the etag can then be passed to put/update/delete as
+  // ifMatch. { withMetadata: true } adds everything head() returns.
+  async get(key, options = {}) {
+    key = ensureExtension(key, this.serializer.extension);
+    const result = await this.getRaw(key, options);
+
+    if (result === null) {
+      return null;
+    }
+
+    const body = options.withETag || options.withMetadata ? result.body : result;
+    let data;
+    try {
+      data = this.serializer.decode(body, { reviver: this.options.reviver });
+    } catch (err) {
+      throw new ParseError(`Failed to parse ${this.serializer.name.toUpperCase()} data for key ${key}: ${err.message}`, {
+        bucket: this.bucketName,
+        key: joinPath(this.prefix, key),
+        cause: err,
+      });
+    }
+
+    if (options.withMetadata) {
+      const info = { ...result };
+      delete info.body;
+      return { data, ...info };
+    }
+    if (options.withETag) {
+      return { data, etag: result.etag, versionId: result.versionId };
+    }
+    return data;
+  }
+
+  // getRaw returns a buffer, so if we want it as a string, here's a handy
+  // wrapper function to convert it to a string
+  async getString(key, options = {}) {
+    const encoding = options.encoding || 'utf-8';
+    const body = await this.getRaw(key, { ...options, withETag: false, withMetadata: false });
+    return body ? body.toString(encoding) : null;
+  }
+
+  // Resolves to { size, lastModified, etag, versionId, contentType,
+  // cacheControl, metadata, expiresAt, tagCount } without downloading the
+  // body, size being the stored size (after any compression and
+  // encryption). Expired objects are described too. Options:
+  // - withTags: fetch the object's tags too, as `tags`, with one more request
+  // - versionId: look at a particular version of the object
+  // - returnNullIfNotFound: resolve to null rather than throw a NotFoundError
+  async head(key, options = {}) {
+    return await this.headFullyQualified(this.fullyQualifiedKey(key), options);
+  }
+
+  async headRaw(key, options = {}) {
+    return await this.headFullyQualified(joinPath(this.prefix, key), options);
+  }
+
+  async headFullyQualified(s3Key, options = {}) {
+    const params = {
+      Bucket: this.bucketName,
+      Key: s3Key,
+    };
+    if (options.versionId) {
+      params.VersionId = options.versionId;
+    }
+
+    logger.trace(`S3DB: Retrieving object metadata: s3://${this.bucketName}/${s3Key}`);
+    try {
+      const response = await this._send(new HeadObjectCommand(params), s3Key, options);
+      const info = objectInfo(response);
+      if (options.withTags) {
+        info.tags = await this._getTags(s3Key, options);
+      }
+      return info;
+    } catch (err) {
+      if (err instanceof NotFoundError && options.returnNullIfNotFound) {
+        logger.trace(`S3DB: Object not found: s3://${this.bucketName}/${s3Key}`);
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  // Internal: resolves to the tags of an object as { key: value }
+  async _getTags(s3Key, options = {}) {
+    const params = {
+      Bucket: this.bucketName,
+      Key: s3Key,
+    };
+    if (options.versionId) {
+      params.VersionId = options.versionId;
+    }
+    const response = await this._send(new GetObjectTaggingCommand(params), s3Key, options);
+    return Object.fromEntries((response.TagSet || []).map(({ Key, Value }) => [Key, Value]));
+  }
+
+  // Pass { ifMatch: etag } to only delete the object if it hasn't changed
+  async deleteRaw(key, options = {}) {
+    const context = { operation: 'deleteRaw', key, s3Key: joinPath(this.prefix, key), options };
+    return await this._withHooks(context, () => this._deleteRaw(key, options));
+  }
+
+  async _deleteRaw(key, options = {}) {
+    const s3Key = joinPath(this.prefix, key);
+    const params = {
+      Bucket: this.bucketName,
+      Key: s3Key,
+    };
+    if (options.ifMatch) {
+      params.IfMatch = options.ifMatch;
+    }
+  
+    logger.trace(`S3DB Deleting object: s3://${this.bucketName}/${s3Key}`);
+    try {
+      await this._send(new DeleteObjectCommand(params), s3Key, options);
+      logger.trace(`S3DB Successfully deleted object: s3://${this.bucketName}/${s3Key}`);
+    } catch (err) {
+      if (err instanceof ConflictError) {
+        logger.trace(`S3DB Conditional delete failed for: s3://${this.bucketName}/${s3Key}`);
+        throw err;
+      }
+      logger.error(`S3DB Error deleting object: s3://${this.bucketName}/${s3Key}`, err);
+      throw err;
+    } finally {
+      await this._invalidate(s3Key);
+    }
+  }
+
+  async delete(key, options = {}) {
+    const context = { operation: 'delete', key, s3Key: this.fullyQualifiedKey(key), options };
+    return await this._withHooks(context, () => this._delete(key, options));
+  }
+
+  async _delete(key, options = {}) {
+    key = ensureExtension(key, this.serializer.extension);
+    await this._deleteRaw(key, options);
+  }
+
+  // Merges newData into the existing object. The write is conditional on
+  // the ETag that was read, so if someone else changes the object in the
+  // meantime a ConflictError is thrown instead of silently losing their
+  // change. The object keeps its content type, cache control, metadata,
+  // tags and expiry unless new ones are passed as options. Instead of data,
+  // newData can be a function that is given the current record (undefined
+  // when upserting a missing one) and returns the new record, or modifies it
+  // in place and returns nothing; it may be called again on conflict. An
+  // expired record counts as missing. Options:
+  // - merge: 'shallow' (the default) replaces top-level fields, 'deep'
+  //   merges nested objects too, 'merge-patch' applies newData as an RFC
+  //   7396 JSON Merge Patch, where null removes a field
+  // - upsert: create the object from newData if it does not exist, rather
+  //   than throwing a NotFoundError
+  // - retries: how many times to re-read, re-merge and re-write on conflict
+  // - ifMatch: only update if the object currently has this ETag (no retries)
+  async update(key, newData, options = {}) {
+    if (typeof newData === 'function') {
+      return await this._update(key, data => {
+        const result = newData(data);
+        return result === undefined ? data : result;
+      }, options);
+    }
+    const merge = options.merge || 'shallow';
+    validateMergeStrategy(merge);
+    return await this._update(key, data => mergeData(merge, data === undefined ? {} : data, newData), options);
+  }
+
+  // Applies RFC 6902 JSON Patch operations to a JSON object, e.g.
+  // [{ op: 'replace', path: '/address/city', value: 'Paris' }], with the
+  // same conditional write, retries and options as update(). A test
+  // operation that fails, or an operation whose path does not exist, throws
+  // a PatchError and nothing is written. With upsert, a missing object is
+  // patched starting from {}.
+  async applyPatch(key, operations, options = {}) {
+    return await this._update(key, data => {
+      try {
+        return applyJsonPatch(data === undefined ? {} : data, operations);
+      } catch (err) {
+        throw new PatchError(`Failed to patch key ${key}: ${err.message}`, {
+          bucket: this.bucketName,
+          key: this.fullyQualifiedKey(key),
+          index: err.index,
+        });
+      }
+    }, options);
+  }
+
+  // Internal: the read-modify-write loop behind update(), transform(data)
+  // returns the new record given the one read on each attempt. With the
+  // upsert option a missing record is passed as undefined and created with
+  // ifNoneMatch, otherwise a NotFoundError is thrown.
+  async _update(key, transform, options = {}) {
+    const retries = options.ifMatch ? 0 : (options.retries || 0);
+
+    for (let attempt = 0; ; attempt++) {
+      // always read from S3, a cached copy would only make the write conflict
+      const read = await this.get(key, {
+        ...requestOptions(options),
+        withMetadata: true,
+        cache: false,
+        returnNullIfNotFound: !!options.upsert,
+        includeExpired: true,
+      });
+      // an expired object is missing, but has to be overwritten conditionally
+      const expired = read && isExpired(read.expiresAt);
+      if (expired && !options.upsert) {
+        throw this._expiredError(this.fullyQualifiedKey(key), read.expiresAt);
+      }
+      const existing = expired ? null : read;
+      const etag = read ? read.etag : null;
+      if (options.ifMatch && options.ifMatch !== etag) {
+        throw new ConflictError(`Conditional update failed for key ${key}: expected ETag ${options.ifMatch} but found ${etag || 'no object'}`, {
+          bucket: this.bucketName,
+          key: this.fullyQualifiedKey(key),
+        });
+      }
+
+      // transform may change the record in place, hooks get it as it was
+      const previous = existing ? clone(existing.data) : undefined;
+      const updatedData = transform(existing ? existing.data : undefined);
+
+      // PutObject replaces all of these, so carry them over
+      let tags = options.tags;
+      if (!tags && existing && existing.tagCount) {
+        tags = await this._getTags(this.fullyQualifiedKey(key), requestOptions(options));
+      }
+      const objectOptions = {
+        contentType: options.contentType || (existing && existing.contentType),
+        cacheControl: options.cacheControl || (existing && existing.cacheControl),
+        metadata: options.metadata || (existing && existing.metadata),
+        tags,
+        ttlMs: options.ttlMs,
+        expiresAt: options.ttlMs === undefined ? (options.expiresAt || (existing ? existing.expiresAt : undefined)) : undefined,
+      };
+      // a missing object is only created if nobody else creates it first
+      const condition = read ? { ifMatch: etag } : { ifNoneMatch: '*' };
+      const context = { operation: 'update', key, s3Key: this.fullyQualifiedKey(key), data: updatedData, previous, options };
+
+      try {
+        return await this._withHooks(context, ({ data }) => this._put(key, data, {
+          ...requestOptions(options),
+          ...objectOptions,
+          ...condition,
+        }));
+      } catch (err) {
+        if (!(err instanceof ConflictError) || attempt >= retries) {
+          throw err;
+        }
+        logger.trace(`S3DB: Update of ${key} conflicted, retrying (${attempt + 1} of ${retries})`);
+        await sleep(Math.random() * 50 * (attempt + 1));
+      }
+    }
+  }
+
+  // Adds `by` (default 1) to a numeric field of a JSON object and resolves to
+  // the new value. Runs update()'s compare-and-swap loop, so concurrent
+  // increments are never lost, retrying up to `retries` times (default 10)
+  // on conflict. A missing object is created with the field set to `by`, a
+  // missing field counts as 0.
+  async increment(key, field, by = 1, options = {}) {
+    if (typeof field !== 'string' || !field) {
+      throw new Error(`Invalid field: ${field}. Field must be a non-empty string.`);
+    }
+    if (!Number.isFinite(by)) {
+      throw new Error(`Invalid increment: ${by}. Increment must be a finite number.`);
+    }
+    const retries = options.retries !== undefined ? options.retries : DEFAULT_INCREMENT_RETRIES;
+
+    let value;
+    await this._update(key, (data = {}) => {
+      const current = data[field] === undefined ? 0 : data[field];
+      if (typeof current !== 'number') {
+        throw new Error(`Can't increment field ${field} of key ${key}: ${JSON.stringify(current)} is not a number.`);
+      }
+      value = current + by;
+      return { ...data, [field]: value };
+    }, { ...options, retries, upsert: true });
+    return value;
+  }
+
+  // Returns a Sequence handing out increasing integer IDs, see sequence.js.
+  // IDs are reserved from a counter under <prefix>/_sequences/ in blocks of
+  // blockSize (default 100), so most calls to next() need no request.
+  sequence(name, options = {}) {
+    return new Sequence(this._reservedDb(SEQUENCE_PREFIX), name, options);
+  }
+
+  // Batch operations. Each one resolves to a result per key, in the same
+  // order as the input, instead of failing the whole batch on the first
+  // error: { key, ok: true, ... } on success or { key, ok: false, error }.
+  // `concurrency` (default 10, or the instance's `concurrency` option) caps
+  // the number of requests in flight.
+
+  // Gets many JSON objects, successful results carry `data`. Other options
+  // are passed to get(), e.g. { returnNullIfNotFound: true }
+  async getMany(keys, options = {}) {
+    const { concurrency, ...getOptions } = options;
+    return await mapWithConcurrency(keys, concurrency || this.defaultConcurrency(), async key => {
+      try {
+        return { key, ok: true, data: await this.get(key, getOptions) };
+      } catch (err) {
+        return { key, ok: false, error: err };
+      }
+    });
+  }
+
+  // Puts many JSON objects, entries are { key, data, options }. Successful
+  // results carry the etag and versionId.
+  async putMany(entries, options = {}) {
+    return await mapWithConcurrency(entries, options.concurrency || this.defaultConcurrency(), async entry => {
+      try {
+        const putOptions = { ...requestOptions(options), ...entry.options };
+        return { key: entry.key, ok: true, ...(await this.put(entry.key, entry.data, putOptions)) };
+      } catch (err) {
+        return { key: entry.key, ok: false, error: err };
+      }
+    });
+  }
+
+  // Deletes many JSON objects using DeleteObjects, 1000 keys per request
+  async deleteMany(keys, options = {}) {
+    keys.forEach(key => assertNotReserved(key));
+    const chunks = chunk(keys, 1000);
+    const chunkResults = await mapWithConcurrency(chunks, options.concurrency || this.defaultConcurrency(), async keysInChunk => {
+      const s3Keys = keysInChunk.map(key => this.fullyQualifiedKey(key));
+      logger.trace(`S3DB: Deleting ${s3Keys.length} objects from: s3://${this.bucketName}/${this.prefix}`);
+
+      try {
+        const response = await this._send(new DeleteObjectsCommand({
+          Bucket: this.bucketName,
+          Delete: { Objects: s3Keys.map(Key => ({ Key })), Quiet: true },
+        }), this.prefix, options);
+        for (const s3Key of s3Keys) {
+          await this._invalidate(s3Key);
+        }
+        const errors = new Map((response.Errors || []).map(error => [error.Key, error]));
+        const deleted = s3Keys.filter(s3Key => !errors.has(s3Key));
+        if (deleted.length) {
+          await this._logChange({ operation: 'deleteMany', s3Keys: deleted }, options);
+        }
+        return keysInChunk.map((key, i) => {
+          const error = errors.get(s3Keys[i]);
+          if (!error) {
+            return { key, ok: true };
+          }
+          logger.error(`S3DB: Error deleting object: s3://${this.bucketName}/${s3Keys[i]}: ${error.Code}`);
+          return { key, ok: false, error: toS3DBError(fromDeleteObjectsError(error), { bucket: this.bucketName, key: s3Keys[i] }) };
+        });
+      } catch (err) {
+        logger.error(`S3DB: Error deleting ${s3Keys.length} objects from: s3://${this.bucketName}/${this.prefix}: ${err.message}`);
+        return keysInChunk.map(key => ({ key, ok: false, error: err }));
+      }
+    });
+    return chunkResults.flat();
+  }
+
+  defaultConcurrency() {
+    return this.options.concurrency || 10;
+  }
+
+  // List all keys in the bucket with the given prefix
+  // If a subPath is provided, it will be appended to the prefix provided
+  // in the constructor.
+  // For example, if you have the following files on S3:
+  // s3://mybucket/myprefix/mysubpath/key1.json
+  // s3://mybucket/myprefix/mysubpath/key2.json
+  // s3://mybucket/myprefix/mysubpath/subkey/sbkey1.json
+  // and you call list('mysubpath'), it will return:
+  // ['key1', 'key2', 'subkey/sbkey1']
+  // Note that this will return only the keys, not the actual objects.
+  async list(subPath = '', options = {}) {
+    if (typeof subPath !== 'string') {
+      throw new Error(`Invalid subPath: ${subPath}. SubPath must be a string.`);
+    }
+
+    const fullPrefix = listPrefix(this.prefix, subPath);
+    const allKeys = [];
+    for await (const key of this.listIterator(subPath, options)) {
+      allKeys.push(key);
+    }
+
+    logger.trace(`S3DB: Total ${allKeys.length} keys retrieved from: s3://${this.bucketName}/${fullPrefix}`);
+    return allKeys;
+  }
+
+  // Same as list(), but yields the keys as each page of results arrives
+  // instead of buffering all of them, e.g.
+  // for await (const key of s3db.listIterator('mysubpath')) { ... }
+  // Accepts the same options as listPage().
+  async *listIterator(subPath = '', options = {}) {
+    let cursor = options.cursor;
+    do {
+      const page = await this.listPage(subPath, { ...options, cursor });
+      yield* page.keys;
+      cursor = page.cursor;
+    } while (cursor);
+  }
+
+  // Alias for listIterator
+  scan(subPath = '', options = {}) {
+    return this.listIterator(subPath, options);
+  }
+
+  // Lists a single page of keys, resolves to { keys, cursor } where cursor
+  // is null on the last page. Options:
+  // - maxKeys: page size, at most 1000 (the S3 limit)
+  // - cursor: the cursor returned with the previous page
+  // - startAfter: a key as returned by list(), start listing after it
+  // - withMetadata: return { key, size, lastModified, etag } entries instead
+  //   of just the keys
+  // - includeDeleted: in a versioned bucket, also list keys whose latest
+  //   version is a delete marker, their entries have deleted: true
+  async listPage(subPath = '', options = {}) {
+    if (typeof subPath !== 'string') {
+      throw new Error(`Invalid subPath: ${subPath}. SubPath must be a string.`);
+    }
+
+    const fullPrefix = listPrefix(this.prefix, subPath);
+    const listed = unreservedFilter(this.prefix, subPath);
+    if (options.includeDeleted) {
+      return await this._listLatestVersionsPage(fullPrefix, listed, options);
+    }
+    const params = {
+      Bucket: this.bucketName,
+      Prefix: fullPrefix,
+    };
+    if (options.maxKeys) {
+      params.MaxKeys = options.maxKeys;
+    }
+    if (options.cursor) {
+      params.ContinuationToken = options.cursor;
+    } else if (options.startAfter) {
+      params.StartAfter = joinPath(fullPrefix, ensureExtension(options.startAfter, this.serializer.extension));
+    }
+
+    logger.trace(`S3DB: Listing objects with fullPrefix: ${fullPrefix}`);
+
+    let response;
+    try {
+      response = await this._send(new ListObjectsV2Command(params), fullPrefix, options,
+        `Failed to list objects in bucket ${this.bucketName} with prefix ${fullPrefix}`);
+    } catch (err) {
+      logger.error(`S3DB: Error listing objects in bucket ${this.bucketName} with prefix ${fullPrefix}: ${err.cause ? err.cause.message : err.message}`);
+      throw err;
+    }
+
+    const entries = extractEntries(response, fullPrefix, this.serializer.extension, listed);
+    const keys = options.withMetadata ? entries : entries.map(entry => entry.key);
+
+    logger.trace(`S3DB: Retrieved ${response.Contents?.length || 0} keys from: s3://${this.bucketName}/${fullPrefix}`);
+    logger.trace(`S3DB: Filtered keys: ${JSON.stringify(entries.map(entry => entry.key))}`);
+
+    return { keys, cursor: response.IsTruncated ? response.NextContinuationToken : null };
+  }
+
+  // Internal: listPage() with includeDeleted. ListObjectVersions returns
+  // every version, newest first, so only the latest one of each key is kept
+  // and a page can have fewer than maxKeys keys.
+  async _listLatestVersionsPage(fullPrefix, listed, options) {
+    const params = {
+      Bucket: this.bucketName,
+      Prefix: fullPrefix,
+    };
+    if (options.maxKeys) {
+      params.MaxKeys = options.maxKeys;
+    }
+    if (options.cursor) {
+      const { keyMarker, versionIdMarker } = decodeVersionsCursor(options.cursor);
+      params.KeyMarker = keyMarker;
+      params.VersionIdMarker = versionIdMarker;
+    } else if (options.startAfter) {
+      params.KeyMarker = joinPath(fullPrefix, ensureExtension(options.startAfter, this.serializer.extension));
+    }
+
+    logger.trace(`S3DB: Listing latest versions with fullPrefix: ${fullPrefix}`);
+
+    const response = await this._send(new ListObjectVersionsCommand(params), fullPrefix, options,
+      `Failed to list object versions in bucket ${this.bucketName} with prefix ${fullPrefix}`);
+
+    const entries = extractVersions(response)
+      .filter(version => version.isLatest && version.key.startsWith(fullPrefix) && version.key !== fullPrefix && listed(version.key))
+      .map(version => ({
+        key: stripPrefixAndExtension(version.key, fullPrefix, this.serializer.extension),
+        size: version.size,
+        lastModified: version.lastModified,
+        etag: version.etag,
+        deleted: version.isDeleteMarker,
+      }));
+    const keys = options.withMetadata ? entries : entries.map(entry => entry.key);
+
+    const cursor = response.IsTruncated ? encodeVersionsCursor(response.NextKeyMarker, response.NextVersionIdMarker) : null;
+    return { keys, cursor };
+  }
+
+  // Lists only the immediate children of subPath, using '/' as the
+  // delimiter the way a file browser would. For example, with:
+  // s3://mybucket/myprefix/mysubpath/key1.json
+  // s3://mybucket/myprefix/mysubpath/subkey/sbkey1.json
+  // listChildren('mysubpath') resolves to:
+  // { items: ['key1'], folders: ['subkey'], cursor: null }
+  // Pass maxKeys to get a single page, and the returned cursor for the next one.
+  async listChildren(subPath = '', options = {}) {
+    if (typeof subPath !== 'string') {
+      throw new Error(`Invalid subPath: ${subPath}. SubPath must be a string.`);
+    }
+
+    const fullPrefix = listPrefix(this.prefix, subPath);
+    const params = {
+      Bucket: this.bucketName,
+      Prefix: fullPrefix,
+      Delimiter: '/',
+    };
+    if (options.maxKeys) {
+      params.MaxKeys = options.maxKeys;
+    }
+    if (options.cursor) {
+      params.ContinuationToken = options.cursor;
     }
 
-    this.bucketName = bucketName;
-    this.prefix = prefix;
-    this.kmsKeyId = kmsKeyId;
+    const listed = unreservedFilter(this.prefix, subPath);
+    logger.trace(`S3DB: Listing children with fullPrefix: ${fullPrefix}`);
+
+    const items = [];
+    const folders = [];
+    for (;;) {
+      let response;
+      try {
+        response = await this._send(new ListObjectsV2Command(params), fullPrefix, options,
+          `Failed to list objects in bucket ${this.bucketName} with prefix ${fullPrefix}`);
+      } catch (err) {
+        logger.error(`S3DB: Error listing objects in bucket ${this.bucketName} with prefix ${fullPrefix}: ${err.cause ? err.cause.message : err.message}`);
+        throw err;
+      }
+
+      items.push(...extractEntries(response, fullPrefix, this.serializer.extension, listed).map(entry => entry.key));
+      folders.push(...(response.CommonPrefixes || []).filter(({ Prefix }) => listed(Prefix)).map(({ Prefix }) => Prefix.slice(fullPrefix.length, -1)));
+
+      if (!response.IsTruncated) {
+        return { items, folders, cursor: null };
+      }
+      if (options.maxKeys) {
+        return { items, folders, cursor: response.NextContinuationToken };
+      }
+      params.ContinuationToken = response.NextContinuationToken;
+    }
+  }
 
-    // Create an S3 client instance
-    this.s3Client = new S3Client({});
+  // Counts the objects under subPath, including nested ones, resolves to
+  // { count, size } where size is the total in bytes
+  async countPrefix(subPath = '', options = {}) {
+    let count = 0;
+    let size = 0;
+    let cursor;
+    do {
+      const page = await this.listPage(subPath, { ...requestOptions(options), cursor, withMetadata: true });
+      count += page.keys.length;
+      size += page.keys.reduce((total, entry) => total + entry.size, 0);
+      cursor = page.cursor;
+    } while (cursor);
+    return { count, size };
   }
 
-  async putRaw(key, data) {
+  // Deletes every object under subPath, including nested ones, one
+  // DeleteObjects request per page of up to 1000 keys. Resolves to the
+  // number of objects deleted.
+  async deletePrefix(subPath = '', options = {}) {
+    if (typeof subPath !== 'string') {
+      throw new Error(`Invalid subPath: ${subPath}. SubPath must be a string.`);
+    }
+
+    const fullPrefix = listPrefix(this.prefix, subPath);
     const params = {
       Bucket: this.bucketName,
-      Key: joinPath(this.prefix, key),
-      Body: data,
+      Prefix: fullPrefix,
     };
 
-    // Add ServerSideEncryption parameters if KMS key is provided
-    if (this.kmsKeyId) {
-      params.ServerSideEncryption = 'aws:kms';
-      params.SSEKMSKeyId = this.kmsKeyId;
-    }
+    const listed = unreservedFilter(this.prefix, subPath);
 
-    logger.trace(`S3DB: Uploading raw object: s3://${this.bucketName}/${params.Key}`);
-    const upload = new Upload({
-      client: this.s3Client,
-      params
-    });
+    logger.trace(`S3DB: Deleting all objects under: s3://${this.bucketName}/${fullPrefix}`);
+
+    let deleted = 0;
+    for (;;) {
+      const response = await this._send(new ListObjectsV2Command(params), fullPrefix, options);
+      const objects = (response.Contents || []).filter(({ Key }) => listed(Key)).map(({ Key }) => ({ Key }));
 
-    await upload.done();
+      if (objects.length) {
+        const result = await this._send(new DeleteObjectsCommand({
+          Bucket: this.bucketName,
+          Delete: { Objects: objects, Quiet: true },
+        }), fullPrefix, options);
+        for (const { Key } of objects) {
+          await this._invalidate(Key);
+        }
+        await this._logDeleted('deletePrefix', subPath, objects, result.Errors, options);
+        if (result.Errors && result.Errors.length) {
+          const errorMsg = `S3DB: Error deleting ${result.Errors.length} objects under ${fullPrefix}: ${result.Errors.map(e => `${e.Key} (${e.Code})`).join(', ')}`;
+          logger.error(errorMsg);
+          // the first failure decides the type of error thrown
+          throw toS3DBError(fromDeleteObjectsError(result.Errors[0]), {
+            bucket: this.bucketName,
+            key: result.Errors[0].Key,
+            context: errorMsg,
+          });
+        }
+        deleted += objects.length;
+      }
+
+      if (!response.IsTruncated) {
+        break;
+      }
+      params.ContinuationToken = response.NextContinuationToken;
+    }
+
+    logger.trace(`S3DB: Deleted ${deleted} objects under: s3://${this.bucketName}/${fullPrefix}`);
+    return deleted;
   }
 
-  async put(key, data, options = {}) {
-    key = ensureJsonExtension(key);
+  // Deletes the objects under subPath, including nested ones, whose expiry
+  // (see the ttlMs option of putRaw()) has passed. Listings don't include
+  // metadata, so each object is looked at with a HEAD request, up to
+  // `concurrency` at a time, and the expired ones of each page are deleted
+  // with one DeleteObjects request. Resolves to the number of objects deleted.
+  async sweepExpired(subPath = '', options = {}) {
+    if (typeof subPath !== 'string') {
+      throw new Error(`Invalid subPath: ${subPath}. SubPath must be a string.`);
+    }
+
+    const fullPrefix = listPrefix(this.prefix, subPath);
     const params = {
       Bucket: this.bucketName,
-      Key: joinPath(this.prefix, key),
-      Body: options.formatForReadability ? JSON.stringify(data, null, 2) : JSON.stringify(data)
+      Prefix: fullPrefix,
     };
 
-    // Add ServerSideEncryption parameters if KMS key is provided
-    if (this.kmsKeyId) {
-      params.ServerSideEncryption = 'aws:kms';
-      params.SSEKMSKeyId = this.kmsKeyId;
-    }
+    const listed = unreservedFilter(this.prefix, subPath);
 
-    logger.trace(`S3DB: Uploading object: s3://${this.bucketName}/${params.Key}`);
-    const upload = new Upload({
-      client: this.s3Client,
-      params
-    });
+    logger.trace(`S3DB: Sweeping expired objects under: s3://${this.bucketName}/${fullPrefix}`);
+
+    let deleted = 0;
+    do {
+      const response = await this._send(new ListObjectsV2Command(params), fullPrefix, options);
+      const keys = (response.Contents || []).map(({ Key }) => Key).filter(listed);
+      const expiries = await mapWithConcurrency(keys, options.concurrency || this.defaultConcurrency(), async s3Key => {
+        const info = await this.headFullyQualified(s3Key, { ...requestOptions(options), returnNullIfNotFound: true });
+        return info && info.expiresAt;
+      });
+      const objects = keys.filter((Key, i) => isExpired(expiries[i])).map(Key => ({ Key }));
+
+      if (objects.length) {
+        const result = await this._send(new DeleteObjectsCommand({
+          Bucket: this.bucketName,
+          Delete: { Objects: objects, Quiet: true },
+        }), fullPrefix, options);
+        for (const { Key } of objects) {
+          await this._invalidate(Key);
+        }
+        await this._logDeleted('sweepExpired', subPath, objects, result.Errors, options);
+        if (result.Errors && result.Errors.length) {
+          const errorMsg = `S3DB: Error deleting ${result.Errors.length} expired objects under ${fullPrefix}: ${result.Errors.map(e => `${e.Key} (${e.Code})`).join(', ')}`;
+          logger.error(errorMsg);
+          throw toS3DBError(fromDeleteObjectsError(result.Errors[0]), {
+            bucket: this.bucketName,
+            key: result.Errors[0].Key,
+            context: errorMsg,
+          });
+        }
+        deleted += objects.length;
+      }
+      params.ContinuationToken = response.NextContinuationToken;
+    } while (params.ContinuationToken);
 
-    await upload.done();
+    logger.trace(`S3DB: Deleted ${deleted} expired objects under: s3://${this.bucketName}/${fullPrefix}`);
+    return deleted;
   }
 
-  async getRaw(key, options = {}) {
-    const s3Key = joinPath(this.prefix, key);
+  // Internal: logs a page deleted by deletePrefix() or sweepExpired(), less
+  // the objects S3 failed to delete. Clearing out bookkeeping, e.g. a
+  // finished transaction or the change log itself, isn't logged.
+  async _logDeleted(operation, subPath, objects, errors = [], options = {}) {
+    const failed = new Set(errors.map(error => error.Key));
+    const s3Keys = objects.map(({ Key }) => Key).filter(Key => !failed.has(Key));
+    if (s3Keys.length && !isReserved(subPath)) {
+      await this._logChange({ operation, s3Keys }, options);
+    }
+  }
+
+  // Returns an S3 lifecycle rule expiring every object under subPath ttlMs
+  // after it was written, for PutBucketLifecycleConfiguration. Unlike
+  // sweepExpired(), S3 then does the deleting, but only in whole days
+  // (ttlMs is rounded up) and regardless of each object's own expiry.
+  // Pass { id } to name the rule.
+  lifecycleRule(subPath = '', options = {}) {
+    if (typeof subPath !== 'string') {
+      throw new Error(`Invalid subPath: ${subPath}. SubPath must be a string.`);
+    }
+    return lifecycleRule(listPrefix(this.prefix, subPath), options);
+  }
+
+  // Internal: yields the objects under subPath a page at a time, as
+  // [{ key, s3Key, size, lastModified, etag }] with key relative to the
+  // instance's prefix and, unlike list(), with its extension
+  async *_listObjectPages(subPath = '', options = {}) {
+    if (typeof subPath !== 'string') {
+      throw new Error(`Invalid subPath: ${subPath}. SubPath must be a string.`);
+    }
+
+    const basePrefix = listPrefix(this.prefix, '');
+    const listed = unreservedFilter(this.prefix, subPath);
     const params = {
       Bucket: this.bucketName,
-      Key: s3Key,
+      Prefix: listPrefix(this.prefix, subPath),
     };
-    logger.trace(`S3DB: Retrieving object: s3://${this.bucketName}/${s3Key}`);
+    do {
+      const response = await this._send(new ListObjectsV2Command(params), params.Prefix, options);
+      yield (response.Contents || []).filter(obj => listed(obj.Key)).map(obj => ({
+        key: obj.Key.startsWith(basePrefix) ? obj.Key.slice(basePrefix.length) : obj.Key,
+        s3Key: obj.Key,
+        size: obj.Size,
+        lastModified: obj.LastModified,
+        etag: obj.ETag,
+      }));
+      params.ContinuationToken = response.NextContinuationToken;
+    } while (params.ContinuationToken);
+  }
 
-    try {
-      const response = await this.s3Client.send(new GetObjectCommand(params));
-      // Convert the readable stream to a buffer
-      const chunks = [];
-      for await (const chunk of response.Body) {
-        chunks.push(chunk);
-      }
-      return Buffer.concat(chunks);
-    } catch (err) {
-      if (err.name === 'NoSuchKey' && options.returnNullIfNotFound) {
-        logger.trace(`S3DB: Object not found: s3://${this.bucketName}/${s3Key}`);
-        return null;
-      }
-      throw err;
-    }
+  // Snapshots every object under subPath, records and raw objects alike, to
+  // target: either a directory, where each object becomes a file at its key
+  // relative to the prefix, or a writable stream, which gets one JSON line
+  // per object (ndjson). Objects are written decrypted and decompressed.
+  // Resolves to the number of objects exported. See transfer.js.
+  async exportTo(target, subPath = '', options = {}) {
+    return await exportTo(this, target, subPath, options);
   }
 
-  async get(key, options = {}) {
-    key = ensureJsonExtension(key);
-    const body = await this.getRaw(key, options);
+  // Loads what exportTo() wrote, from a directory or a readable ndjson
+  // stream, under this instance's prefix. Pass { overwrite: false } to skip
+  // keys that already exist. Resolves to { imported, skipped }.
+  async importFrom(source, options = {}) {
+    return await importFrom(this, source, options);
+  }
 
-    if (body === null) {
-      return null;
-    }
+  // Makes target (an S3DB, in this bucket or another) hold the same objects
+  // under subPath as this one, copying server-side only the objects that
+  // are missing or differ. Options:
+  // - subPath: what to sync, everything under the prefix by default
+  // - deleteExtraneous: delete objects only the target has
+  // - dryRun: work out what would be copied and deleted, but change nothing
+  // Resolves to { copied, deleted, unchanged }, the first two being keys.
+  async sync(target, options = {}) {
+    return await sync(this, target, options);
+  }
 
-    try {
-      return JSON.parse(body.toString());
-    } catch (err) {
-      throw new Error(`Failed to parse JSON data for key ${key}: ${err.message}`);
+  // Re-encrypts every object under subPath (JSON and raw alike) that is not
+  // encrypted with the key provider's current key, plaintext objects
+  // included, e.g. after making a new key current in a LocalKeyringProvider
+  // or pointing a KmsKeyProvider at a new KMS key. Each object gets a fresh
+  // data key and keeps its compression. Options:
+  // - force: re-encrypt objects that already use the current key too
+  // - concurrency: how many objects to re-encrypt in parallel (default 10,
+  //   or the instance's `concurrency` option)
+  // Resolves to { scanned, reencrypted, conflicts }, see _rewriteObjects.
+  async reencrypt(subPath = '', options = {}) {
+    if (!this.keyProvider) {
+      throw new Error('Cannot re-encrypt without a keyProvider.');
     }
+
+    logger.trace(`S3DB: Re-encrypting objects under subPath ${subPath} with key ${this.keyProvider.keyId}`);
+    const { scanned, rewritten, conflicts } = await this._rewriteObjects(subPath, options, response => {
+      if (!options.force && encryptionKeyId(response.Metadata) === this.keyProvider.keyId) {
+        return null;
+      }
+      return { encrypt: true, compression: compressionOf(response.Metadata, response.ContentEncoding) || false };
+    });
+    return { scanned, reencrypted: rewritten, conflicts };
   }
 
-  // getRaw returns a buffer, so if we want it as a string, here's a handy
-  // wrapper function to convert it to a string
-  async getString(key, options = {}) {
-    const encoding = options.encoding || 'utf-8';
-    const body = await this.getRaw(key, options);
-    return body ? body.toString(encoding) : null;
+  // Compresses every object under subPath (JSON and raw alike) that is not
+  // compressed with the given algorithm yet, e.g. to cut storage costs on an
+  // existing prefix. Encrypted objects stay encrypted. Options:
+  // - compression: 'gzip' or 'brotli', defaults to the instance's
+  //   compression or else gzip
+  // - concurrency: how many objects to compress in parallel (default 10, or
+  //   the instance's `concurrency` option)
+  // Resolves to { scanned, compressed, conflicts }, see _rewriteObjects.
+  async compress(subPath = '', options = {}) {
+    const compression = options.compression || this.compression || 'gzip';
+    validateCompression(compression);
+
+    logger.trace(`S3DB: Compressing objects under subPath ${subPath} with ${compression}`);
+    const { scanned, rewritten, conflicts } = await this._rewriteObjects(subPath, options, response => {
+      if (compressionOf(response.Metadata, response.ContentEncoding) === compression) {
+        return null;
+      }
+      return { compression, encrypt: isEncrypted(response.Metadata) };
+    });
+    return { scanned, compressed: rewritten, conflicts };
   }
 
-  async deleteRaw(key) {
-    const s3Key = joinPath(this.prefix, key);
+  // Internal: reads every object under subPath and writes it back with the
+  // put options returned by rewriteOptions(response), or leaves it alone if
+  // that returns null. Each write is conditional on the ETag that was read,
+  // so an object changed in the meantime is counted as a conflict and left
+  // for the next run rather than overwritten. Resolves to
+  // { scanned, rewritten, conflicts }.
+  async _rewriteObjects(subPath, options, rewriteOptions) {
+    if (typeof subPath !== 'string') {
+      throw new Error(`Invalid subPath: ${subPath}. SubPath must be a string.`);
+    }
+
+    const fullPrefix = listPrefix(this.prefix, subPath);
     const params = {
       Bucket: this.bucketName,
-      Key: s3Key,
+      Prefix: fullPrefix,
     };
-  
-    logger.trace(`S3DB Deleting object: s3://${this.bucketName}/${s3Key}`);
-    try {
-      await this.s3Client.send(new DeleteObjectCommand(params));
-      logger.trace(`S3DB Successfully deleted object: s3://${this.bucketName}/${s3Key}`);
-    } catch (err) {
-      logger.error(`S3DB Error deleting object: s3://${this.bucketName}/${s3Key}`, err);
-      throw err;
+    const listed = unreservedFilter(this.prefix, subPath);
+    const counts = { scanned: 0, rewritten: 0, conflicts: 0 };
+
+    for (;;) {
+      const response = await this._send(new ListObjectsV2Command(params), fullPrefix, options);
+      const s3Keys = (response.Contents || []).map(obj => obj.Key).filter(listed);
+
+      await mapWithConcurrency(s3Keys, options.concurrency || this.defaultConcurrency(), async s3Key => {
+        counts.scanned++;
+        try {
+          if (await this._rewriteObject(s3Key, options, rewriteOptions)) {
+            counts.rewritten++;
+          }
+        } catch (err) {
+          if (err instanceof ConflictError) {
+            logger.trace(`S3DB: s3://${this.bucketName}/${s3Key} changed while rewriting it, skipping it`);
+            counts.conflicts++;
+          } else if (!(err instanceof NotFoundError)) {
+            throw err;
+          }
+        }
+      });
+
+      if (!response.IsTruncated) {
+        break;
+      }
+      params.ContinuationToken = response.NextContinuationToken;
     }
-  }
 
-  async delete(key) {
-    key = ensureJsonExtension(key);
-    await this.deleteRaw(key);
+    logger.trace(`S3DB: Rewrote ${counts.rewritten} of ${counts.scanned} objects under: s3://${this.bucketName}/${fullPrefix}`);
+    return counts;
   }
 
-  async update(key, newData) {
-    const existingData = await this.get(key);
-    const updatedData = { ...existingData, ...newData };
+  // Internal: rewrites a single object, resolves to false if it was left alone
+  async _rewriteObject(s3Key, options, rewriteOptions) {
+    const { response, body } = await this._getObject({ Bucket: this.bucketName, Key: s3Key }, requestOptions(options));
+    const writeOptions = rewriteOptions(response);
+    if (!writeOptions) {
+      return false;
+    }
+
+    const params = {
+      Bucket: this.bucketName,
+      Key: s3Key,
+      Body: body,
+      Metadata: withoutCompressionMetadata(withoutEncryptionMetadata(response.Metadata)),
+      ContentType: response.ContentType,
+      // the body was decompressed on the way in
+      ContentEncoding: compressionOf(response.Metadata, response.ContentEncoding) ? undefined : response.ContentEncoding,
+      CacheControl: response.CacheControl,
+      IfMatch: response.ETag,
+    };
+    if (this.kmsKeyId) {
+      params.ServerSideEncryption = 'aws:kms';
+      params.SSEKMSKeyId = this.kmsKeyId;
+    }
+    // PutObject replaces the tags too, so carry them over
+    if (response.TagCount) {
+      addObjectParams(params, { tags: await this._getTags(s3Key, requestOptions(options)) });
+    }
 
-    await this.put(key, updatedData);
+    await this._encodeBody(params, writeOptions);
+    await this._upload(params, requestOptions(options));
+    return true;
   }
 
-  // List all keys in the bucket with the given prefix
-  // If a subPath is provided, it will be appended to the prefix provided
-  // in the constructor.
-  // For example, if you have the following files on S3:
-  // s3://mybucket/myprefix/mysubpath/key1.json
-  // s3://mybucket/myprefix/mysubpath/key2.json
-  // s3://mybucket/myprefix/mysubpath/subkey/sbkey1.json
-  // and you call list('mysubpath'), it will return:
-  // ['key1', 'key2', 'subkey/sbkey1']
-  // Note that this will return only the keys, not the actual objects.
-  async list(subPath = '') {
+  // Reads the JSON records under subPath and returns the ones that match.
+  // Options:
+  // - where: a predicate (data, key) => boolean, or a Mongo-style filter
+  //   object such as { status: 'active', age: { $gte: 18 } }
+  // - select: array of (dot path) fields to return, or a function (data) => value
+  // - limit: maximum number of records per page, all matches if not set
+  // - cursor: the cursor returned by the previous page
+  // - concurrency: how many objects to fetch in parallel (default 10, or the
+  //   instance's `concurrency` option)
+  // Resolves to { items: [{ key, data }], cursor }, where key can be passed
+  // to get() and cursor is null once there are no more records.
+  async query(subPath = '', options = {}) {
     if (typeof subPath !== 'string') {
       throw new Error(`Invalid subPath: ${subPath}. SubPath must be a string.`);
     }
 
-    let fullPrefix = this.prefix;
-    if (subPath) {
-      fullPrefix = joinPath(this.prefix, subPath);
+    const { where, select, limit } = options;
+    const concurrency = options.concurrency || this.defaultConcurrency();
+    if (where && typeof where !== 'function' && typeof where !== 'object') {
+      throw new Error(`Invalid where: ${where}. Where must be a function or a filter object.`);
     }
-    fullPrefix = fullPrefix.endsWith('/') ? fullPrefix : fullPrefix + '/';
 
-    logger.trace(`S3DB: Listing objects with fullPrefix: ${fullPrefix}`);
+    const fullPrefix = listPrefix(this.prefix, subPath);
+    const instancePrefix = listPrefix(this.prefix, '');
+    const listed = unreservedFilter(this.prefix, subPath);
+    let { token, skip } = decodeCursor(options.cursor);
+    const items = [];
 
-    const params = {
-      Bucket: this.bucketName,
-      Prefix: fullPrefix,
-    };
+    logger.trace(`S3DB: Querying objects with fullPrefix: ${fullPrefix}`);
 
-    const allKeys = [];
-    let isTruncated = true;
-    let iteration = 0;
+    for (;;) {
+      const response = await this._send(new ListObjectsV2Command({
+        Bucket: this.bucketName,
+        Prefix: fullPrefix,
+        ContinuationToken: token,
+      }), fullPrefix, options);
+      const keys = (response.Contents || []).map(obj => obj.Key).filter(key => key.endsWith(this.serializer.extension) && listed(key));
 
-    while (isTruncated) {
-      iteration++;
-      try {
-        const response = await this.s3Client.send(new ListObjectsV2Command(params));
-        const filteredKeys = extractKeys(response, fullPrefix);
-        allKeys.push(...filteredKeys);
-        
-        isTruncated = response.IsTruncated;
-        if (isTruncated) {
-          params.ContinuationToken = response.NextContinuationToken;
+      // fetch in batches so no more than `concurrency` requests are in flight
+      for (let start = skip; start < keys.length; start += concurrency) {
+        const batch = keys.slice(start, start + concurrency);
+        const results = await Promise.all(batch.map(async s3Key => {
+          const key = stripPrefixAndExtension(s3Key, instancePrefix, this.serializer.extension);
+          const data = await this.get(key, { ...requestOptions(options), returnNullIfNotFound: true });
+          if (data === null) {
+            return null;
+          }
+          const matches = !where || (typeof where === 'function' ? await where(data, key) : matchesFilter(data, where));
+          return matches ? { key, data: select ? projectFields(data, select) : data } : null;
+        }));
+
+        for (let i = 0; i < results.length; i++) {
+          if (results[i]) {
+            items.push(results[i]);
+          }
+          if (limit && items.length >= limit) {
+            const consumed = start + i + 1;
+            let cursor = encodeCursor(token, consumed);
+            if (consumed >= keys.length) {
+              cursor = response.IsTruncated ? encodeCursor(response.NextContinuationToken, 0) : null;
+            }
+            logger.trace(`S3DB: Query returned ${items.length} items from: s3://${this.bucketName}/${fullPrefix}`);
+            return { items, cursor };
+          }
         }
+      }
 
-        logger.trace(`S3DB: Iteration ${iteration}, retrieved ${response.Contents?.length || 0} keys from: s3://${this.bucketName}/${fullPrefix}`);
-        logger.trace(`S3DB: Filtered keys: ${JSON.stringify(filteredKeys)}`);
-      } catch (err) {
-        logger.error(`S3DB: Error listing objects in bucket ${this.bucketName} with prefix ${fullPrefix}: ${err.message}`);
-        throw new Error(`Failed to list objects in bucket ${this.bucketName} with prefix ${fullPrefix}: ${err.message}`);
+      if (!response.IsTruncated) {
+        break;
       }
+      token = response.NextContinuationToken;
+      skip = 0;
     }
-    
-    logger.trace(`S3DB: Total ${allKeys.length} keys retrieved from: s3://${this.bucketName}/${fullPrefix}`);
-    return allKeys;
+
+    logger.trace(`S3DB: Query returned ${items.length} items from: s3://${this.bucketName}/${fullPrefix}`);
+    return { items, cursor: null };
+  }
+
+  // Pass { includeDeleted: true } to also count an object whose latest
+  // version is a delete marker (in a versioned bucket) as existing, and
+  // { includeExpired: true } to count one whose expiry has passed
+  async existsFullyQualified(key, options = {}) {
+    return await this._existsIn(this.bucketName, key, options);
   }
-    
-  async existsFullyQualified(key) {
+
+  // Internal: existsFullyQualified() for a key in any bucket, e.g. the
+  // source of a cross-bucket copy
+  async _existsIn(bucket, key, options = {}) {
     const params = {
-      Bucket: this.bucketName,
+      Bucket: bucket,
       Key: key,
     };
 
     try {
-      logger.trace(`S3DB: Checking for object existence at: s3://${this.bucketName}/${key}`);
-      await this.s3Client.send(new HeadObjectCommand(params));
-      logger.trace(`S3DB: Object exists: s3://${this.bucketName}/${key}`);
+      logger.trace(`S3DB: Checking for object existence at: s3://${bucket}/${key}`);
+      const response = await this._send(new HeadObjectCommand(params), key, options);
+      if (isExpired(expiresAtOf(response.Metadata)) && !options.includeExpired) {
+        logger.trace(`S3DB: Object has expired: s3://${bucket}/${key}`);
+        return false;
+      }
+      logger.trace(`S3DB: Object exists: s3://${bucket}/${key}`);
       return true;
     } catch (err) {
-      if (err.name === 'NotFound') {
-        logger.trace(`S3DB: Object does not exist: s3://${this.bucketName}/${key}`);
+      if (err instanceof NotFoundError) {
+        if (options.includeDeleted && bucket === this.bucketName) {
+          const versions = await this.listVersionsFullyQualified(key, options);
+          if (versions.length && versions[0].isDeleteMarker) {
+            logger.trace(`S3DB: Object is deleted: s3://${bucket}/${key}`);
+            return true;
+          }
+        }
+        logger.trace(`S3DB: Object does not exist: s3://${bucket}/${key}`);
         return false;
       }
-      logger.error(`S3DB: Error checking if object exists: s3://${this.bucketName}/${key}`, err);
+      logger.error(`S3DB: Error checking if object exists: s3://${bucket}/${key}`, err);
       throw err;
     }
   }
 
-  async existsRaw(key) {
+  async existsRaw(key, options = {}) {
     const s3Key = joinPath(this.prefix, key); // Construct the fully qualified key
-    return await this.existsFullyQualified(s3Key); // Delegate to existsFullyQualified
+    return await this.existsFullyQualified(s3Key, options); // Delegate to existsFullyQualified
   }
 
-  async exists(key) {
-    key = ensureJsonExtension(key); // Ensure the key has a JSON extension
+  async exists(key, options = {}) {
+    key = ensureExtension(key, this.serializer.extension); // Ensure the key has the serializer's extension
     const s3Key = joinPath(this.prefix, key); // Construct the fully qualified key
-    return await this.existsFullyQualified(s3Key); // Delegate to existsFullyQualified
+    return await this.existsFullyQualified(s3Key, options); // Delegate to existsFullyQualified
+  }
+
+  async copy(relativeKey, newRelativeKey, options = {}) {
+    const context = {
+      operation: 'copy',
+      key: relativeKey,
+      s3Key: this.fullyQualifiedKey(relativeKey),
+      newKey: newRelativeKey,
+      newS3Key: this.fullyQualifiedKey(newRelativeKey),
+      options,
+    };
+    return await this._withHooks(context, () => this._copy(relativeKey, newRelativeKey, options));
   }
 
-  async copy(relativeKey, newRelativeKey) {
-    relativeKey = ensureJsonExtension(relativeKey);
-    newRelativeKey = ensureJsonExtension(newRelativeKey);
+  async _copy(relativeKey, newRelativeKey, options = {}) {
+    relativeKey = ensureExtension(relativeKey, this.serializer.extension);
+    newRelativeKey = ensureExtension(newRelativeKey, this.serializer.extension);
     const sourcePath = path.join(this.prefix, relativeKey);
     const destinationPath = path.join(this.prefix, newRelativeKey); // Ensure newPath is correctly prefixed for logging
     logger.trace(`S3DB: Attempting to copy from ${sourcePath} to ${destinationPath}`);
-    await this.copyFullyQualified(sourcePath, destinationPath);
+    await this.copyFullyQualified(sourcePath, destinationPath, options);
   }
 
-  async move(relativeKey, newRelativeKey) {
-    relativeKey = ensureJsonExtension(relativeKey);
-    newRelativeKey = ensureJsonExtension(newRelativeKey);
+  async move(relativeKey, newRelativeKey, options = {}) {
+    const context = {
+      operation: 'move',
+      key: relativeKey,
+      s3Key: this.fullyQualifiedKey(relativeKey),
+      newKey: newRelativeKey,
+      newS3Key: this.fullyQualifiedKey(newRelativeKey),
+      options,
+    };
+    return await this._withHooks(context, () => this._move(relativeKey, newRelativeKey, options));
+  }
+
+  async _move(relativeKey, newRelativeKey, options = {}) {
+    relativeKey = ensureExtension(relativeKey, this.serializer.extension);
+    newRelativeKey = ensureExtension(newRelativeKey, this.serializer.extension);
     const sourcePath = path.join(this.prefix, relativeKey);
     const destinationPath = path.join(this.prefix, newRelativeKey); // Ensure newPath is correctly prefixed for logging
     logger.trace(`S3DB: Attempting to move from ${sourcePath} to ${destinationPath}`);
-    await this.moveFullyQualified(sourcePath, destinationPath);
+    await this.moveFullyQualified(sourcePath, destinationPath, options);
   }
   
   // you need to specify the entire path for the source and destination,
-  // including file extension, this method will not append '.json' to the keys
-  async copyFullyQualified(sourcePath, destinationPath) {
-    const sourceExists = await this.existsFullyQualified(sourcePath);
+  // including file extension, this method will not append '.json' to the keys.
+  // Pass sourceBucket and/or destinationBucket to copy between buckets, both
+  // default to this instance's bucket. The copy is made server-side by this
+  // instance's client, which needs to be allowed to read the source and
+  // write the destination.
+  async copyFullyQualified(sourcePath, destinationPath, options = {}) {
+    const { sourceBucket = this.bucketName, destinationBucket = this.bucketName } = options;
+    const sourceExists = await this._existsIn(sourceBucket, sourcePath, options);
     if (!sourceExists) {
       const errorMsg = `S3DB: Error copying object from ${sourcePath} to ${destinationPath}: The specified source key does not exist.`;
       logger.error(errorMsg);
-      throw new Error(errorMsg);
+      throw new NotFoundError(errorMsg, { bucket: sourceBucket, key: sourcePath });
     }
 
     const copyParams = {
-      Bucket: this.bucketName,
-      CopySource: `${this.bucketName}/${sourcePath}`,
+      Bucket: destinationBucket,
+      CopySource: `${sourceBucket}/${sourcePath}`,
       Key: destinationPath,
     };
+    // S3 doesn't carry SSE-KMS over to the copy, so encrypt it like a put
+    if (this.kmsKeyId) {
+      copyParams.ServerSideEncryption = 'aws:kms';
+      copyParams.SSEKMSKeyId = this.kmsKeyId;
+    }
 
     try {
-      await this.s3Client.send(new CopyObjectCommand(copyParams));
-      logger.trace(`S3DB: Copied object from ${sourcePath} to ${destinationPath}`);
+      await this._send(new CopyObjectCommand(copyParams), destinationPath, options);
+      logger.trace(`S3DB: Copied object from s3://${sourceBucket}/${sourcePath} to s3://${destinationBucket}/${destinationPath}`);
     } catch (err) {
       logger.error(`S3DB: Error copying object from ${sourcePath} to ${destinationPath}: ${err.message}`);
       throw err;
+    } finally {
+      if (destinationBucket === this.bucketName) {
+        await this._invalidate(destinationPath);
+      }
     }
   }
 
   // you need to specify the entire path for the source and destination,
   // including file extension, this method will not append '.json' to the keys
-  async moveFullyQualified(sourcePath, destinationPath) {
+  // Takes the sourceBucket and destinationBucket options of copyFullyQualified().
+  async moveFullyQualified(sourcePath, destinationPath, options = {}) {
+    const { sourceBucket = this.bucketName } = options;
     // Use copyFullyQualified for the copy part of the move operation
-    await this.copyFullyQualified(sourcePath, destinationPath);
+    await this.copyFullyQualified(sourcePath, destinationPath, options);
 
     // Then delete the original object
     const deleteParams = {
-      Bucket: this.bucketName,
+      Bucket: sourceBucket,
       Key: sourcePath,
     };
 
     try {
-      await this.s3Client.send(new DeleteObjectCommand(deleteParams));
+      await this._send(new DeleteObjectCommand(deleteParams), sourcePath, options);
       logger.trace(`S3DB: Deleted original object at ${sourcePath}`);
     } catch (err) {
       logger.error(`S3DB: Error deleting original object at ${sourcePath}: ${err.message}`);
       throw err;
+    } finally {
+      if (sourceBucket === this.bucketName) {
+        await this._invalidate(sourcePath);
+      }
+    }
+  }
+
+  // Versioning. In a bucket with S3 versioning enabled every write keeps the
+  // previous version of the object and delete only adds a delete marker, so
+  // a record clobbered by a bad update or deleted by mistake can be restored.
+
+  // Resolves to the versions of a JSON object, newest first:
+  // [{ versionId, isLatest, isDeleteMarker, lastModified, etag, size }]
+  // Pass a versionId to get({ versionId }) or restore().
+  async listVersions(key, options = {}) {
+    return await this.listVersionsFullyQualified(this.fullyQualifiedKey(key), options);
+  }
+
+  async listVersionsRaw(key, options = {}) {
+    return await this.listVersionsFullyQualified(joinPath(this.prefix, key), options);
+  }
+
+  async listVersionsFullyQualified(s3Key, options = {}) {
+    const params = {
+      Bucket: this.bucketName,
+      Prefix: s3Key,
+    };
+    const versions = [];
+
+    logger.trace(`S3DB: Listing versions of: s3://${this.bucketName}/${s3Key}`);
+    for (;;) {
+      const response = await this._send(new ListObjectVersionsCommand(params), s3Key, options);
+      // the prefix also matches longer keys such as 'U1.json.bak'
+      versions.push(...extractVersions(response).filter(version => version.key === s3Key));
+
+      if (!response.IsTruncated) {
+        break;
+      }
+      params.KeyMarker = response.NextKeyMarker;
+      params.VersionIdMarker = response.NextVersionIdMarker;
     }
+
+    return versions.map(({ key, ...version }) => version);
+  }
+
+  // Copies an old version of a JSON object back over the current one (or
+  // over its delete marker, undeleting it), which adds a new version rather
+  // than rewriting history. Resolves to the ETag and VersionId of the new
+  // current version.
+  async restore(key, versionId, options = {}) {
+    return await this.restoreFullyQualified(this.fullyQualifiedKey(key), versionId, options);
+  }
+
+  async restoreRaw(key, versionId, options = {}) {
+    return await this.restoreFullyQualified(joinPath(this.prefix, key), versionId, options);
+  }
+
+  async restoreFullyQualified(s3Key, versionId, options = {}) {
+    if (!versionId || typeof versionId !== 'string') {
+      throw new Error(`Invalid versionId: ${versionId}. VersionId must be a string.`);
+    }
+
+    const params = {
+      Bucket: this.bucketName,
+      CopySource: `${this.bucketName}/${s3Key}?versionId=${encodeURIComponent(versionId)}`,
+      Key: s3Key,
+    };
+
+    logger.trace(`S3DB: Restoring version ${versionId} of: s3://${this.bucketName}/${s3Key}`);
+    let response;
+    try {
+      response = await this._send(new CopyObjectCommand(params), s3Key, options,
+        `Failed to restore version ${versionId} of s3://${this.bucketName}/${s3Key}`);
+    } finally {
+      await this._invalidate(s3Key);
+    }
+    const result = { etag: response.CopyObjectResult.ETag, versionId: response.VersionId };
+    await this._logChange({ operation: 'restore', s3Key, result }, options);
+    return result;
   }
 
   // Add these methods to maintain the public interface:
@@ -337,34 +1978,236 @@ function joinPath(...parts) {
   return path.join(...parts);
 }
 
-function ensureJsonExtension(key) {
+function ensureExtension(key, extension) {
   // Convert key to string if it's not already a string
   if (typeof key !== 'string') {
     key = String(key);
   }
 
-  // Append '.json' if key doesn't already have an extension
-  if (!key.endsWith('.json')) {
-    key += '.json';
+  // Append the extension, e.g. '.json', if key doesn't already have it
+  if (!key.endsWith(extension)) {
+    key += extension;
   }
 
   return key;
 }
 
-// Helper function to extract and filter keys from the S3 listObjectsV2 response
-function extractKeys(data, fullPrefix) {
+// Helper function to copy the ifMatch / ifNoneMatch options onto S3 params
+function addConditionalParams(params, options) {
+  if (options.ifMatch) {
+    params.IfMatch = options.ifMatch;
+  }
+  if (options.ifNoneMatch) {
+    params.IfNoneMatch = options.ifNoneMatch;
+  }
+}
+
+// Helper function to copy the contentType, cacheControl, metadata and tags
+// options onto S3 params
+function addObjectParams(params, options) {
+  if (options.contentType) {
+    params.ContentType = options.contentType;
+  }
+  if (options.cacheControl) {
+    params.CacheControl = options.cacheControl;
+  }
+  if (options.metadata) {
+    const metadata = stringValues(options.metadata, 'metadata');
+    // S3DB keeps its own markers, e.g. for encryption, under these names
+    const reserved = Object.keys(metadata).find(name => name.toLowerCase().startsWith('s3db-'));
+    if (reserved) {
+      throw new Error(`Invalid metadata: ${reserved}. Metadata names starting with 's3db-' are reserved.`);
+    }
+    params.Metadata = { ...params.Metadata, ...metadata };
+  }
+  if (options.tags) {
+    // PutObject takes tags as a URL query string, e.g. 'team=core&env=prod'
+    params.Tagging = new URLSearchParams(stringValues(options.tags, 'tags')).toString();
+  }
+}
+
+// Helper function to check an object of metadata or tags, returning a copy
+// with every value as a string
+function stringValues(values, name) {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(`Invalid ${name}: ${values}. ${name} must be an object of string values.`);
+  }
+  return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, String(value)]));
+}
+
+// Helper function to describe an object from a HeadObject or GetObject
+// response, leaving out S3DB's own metadata
+function objectInfo(response) {
+  return {
+    size: response.ContentLength,
+    lastModified: response.LastModified,
+    etag: response.ETag,
+    versionId: response.VersionId,
+    contentType: response.ContentType,
+    cacheControl: response.CacheControl,
+    metadata: withoutExpiryMetadata(withoutCompressionMetadata(withoutEncryptionMetadata(response.Metadata))),
+    expiresAt: expiresAtOf(response.Metadata),
+    tagCount: response.TagCount || 0,
+  };
+}
+
+// Strings and buffers can be sent again when a request is retried, streams
+// can only be read once
+function isReplayable(body) {
+  return typeof body === 'string' || body instanceof Uint8Array;
+}
+
+// Turns { start, end } into a Range header, end is inclusive and can be
+// left out to read to the end. Strings are taken to be Range headers already.
+function formatRange(range) {
+  if (typeof range === 'string') {
+    return range;
+  }
+  const { start, end } = range;
+  if (!Number.isInteger(start) || start < 0 || (end !== undefined && (!Number.isInteger(end) || end < start))) {
+    throw new Error(`Invalid range: ${JSON.stringify(range)}. Range must be { start, end } with 0 <= start <= end.`);
+  }
+  return `bytes=${start}-${end === undefined ? '' : end}`;
+}
+
+// S3 answers a conditional GET whose ETag still matches with a bodiless 304,
+// which the SDK throws as an error
+function isNotModified(err) {
+  const cause = err.cause || err;
+  return !!(cause.$metadata && cause.$metadata.httpStatusCode === 304);
+}
+
+// Helper function to pick the options that apply to every S3 request, so
+// they can be passed on when one method calls another
+function requestOptions(options) {
+  const { retry, timeoutMs, signal } = options;
+  return { retry, timeoutMs, signal };
+}
+
+// DeleteObjects reports failures per key as { Key, Code, Message } rather
+// than throwing, this turns one into an error shaped like the SDK's
+function fromDeleteObjectsError(error) {
+  const err = new Error(error.Message || error.Code);
+  err.name = error.Code;
+  err.Code = error.Code;
+  return err;
+}
+
+// Helper function to read a body (string, buffer or stream) into a buffer
+async function readBody(body) {
+  if (typeof body === 'string' || body instanceof Uint8Array) {
+    return Buffer.from(body);
+  }
+  const chunks = [];
+  for await (const chunk of body) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Helper function to build the prefix to list, always ending with a '/'
+function listPrefix(prefix, subPath) {
+  let fullPrefix = prefix;
+  if (subPath) {
+    fullPrefix = joinPath(prefix, subPath);
+  }
+  return fullPrefix.endsWith('/') ? fullPrefix : fullPrefix + '/';
+}
+
+// Helper function returning a predicate on listed S3 keys that leaves out
+// S3DB's own bookkeeping under the reserved prefixes (see reserved.js),
+// unless subPath is itself under one of them
+function unreservedFilter(prefix, subPath) {
+  if (isReserved(subPath)) {
+    return () => true;
+  }
+  const instancePrefix = prefix ? listPrefix(prefix, '') : '';
+  return s3Key => !(s3Key.startsWith(instancePrefix) && isReserved(s3Key.slice(instancePrefix.length)));
+}
+
+// Helper function to extract and filter entries from the S3 listObjectsV2
+// response, keeping the keys `listed` (see unreservedFilter()) returns true for
+function extractEntries(data, fullPrefix, extension, listed = () => true) {
   if (!data.Contents) {
     return [];
   }
   return data.Contents
-    .map(obj => obj.Key)
-    .filter(key => key.startsWith(fullPrefix) && key !== fullPrefix)
-    .map(key => stripPrefixAndExtension(key, fullPrefix));
+    .filter(obj => obj.Key.startsWith(fullPrefix) && obj.Key !== fullPrefix && listed(obj.Key))
+    .map(obj => ({
+      key: stripPrefixAndExtension(obj.Key, fullPrefix, extension),
+      size: obj.Size,
+      lastModified: obj.LastModified,
+      etag: obj.ETag,
+    }));
+}
+
+// Helper function to merge the versions and delete markers from the S3
+// ListObjectVersions response, in the order S3 lists them
+function extractVersions(data) {
+  const versions = (data.Versions || []).map(version => ({
+    key: version.Key,
+    versionId: version.VersionId,
+    isLatest: !!version.IsLatest,
+    isDeleteMarker: false,
+    lastModified: version.LastModified,
+    etag: version.ETag,
+    size: version.Size,
+  }));
+  const deleteMarkers = (data.DeleteMarkers || []).map(marker => ({
+    key: marker.Key,
+    versionId: marker.VersionId,
+    isLatest: !!marker.IsLatest,
+    isDeleteMarker: true,
+    lastModified: marker.LastModified,
+  }));
+  return [...versions, ...deleteMarkers].sort((a, b) => {
+    if (a.key !== b.key) {
+      return a.key < b.key ? -1 : 1;
+    }
+    return b.lastModified - a.lastModified || b.isLatest - a.isLatest;
+  });
+}
+
+// The cursor for listing with includeDeleted carries both markers
+function encodeVersionsCursor(keyMarker, versionIdMarker) {
+  return Buffer.from(JSON.stringify({ k: keyMarker, v: versionIdMarker }), 'utf-8').toString('base64url');
+}
+
+function decodeVersionsCursor(cursor) {
+  try {
+    const { k, v } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    return { keyMarker: k, versionIdMarker: v };
+  } catch (err) {
+    throw new Error(`Invalid cursor: ${cursor}`);
+  }
 }
 
 // Helper function to strip the prefix and file extension from a key
-function stripPrefixAndExtension(key, fullPrefix) {
-  return key.replace(fullPrefix, '').replace('.json', '');
+function stripPrefixAndExtension(key, fullPrefix, extension) {
+  const relativeKey = key.startsWith(fullPrefix) ? key.slice(fullPrefix.length) : key;
+  return relativeKey.endsWith(extension) ? relativeKey.slice(0, -extension.length) : relativeKey;
 }
 
 module.exports = S3DB;
+module.exports.S3DBError = S3DBError;
+module.exports.NotFoundError = NotFoundError;
+module.exports.AccessDeniedError = AccessDeniedError;
+module.exports.ConflictError = ConflictError;
+module.exports.ValidationError = ValidationError;
+module.exports.ParseError = ParseError;
+module.exports.ThrottledError = ThrottledError;
+module.exports.TimeoutError = TimeoutError;
+module.exports.EncryptionError = EncryptionError;
+module.exports.LockError = LockError;
+module.exports.PatchError = PatchError;
+module.exports.MemoryS3Client = MemoryS3Client;
+module.exports.LocalKeyringProvider = LocalKeyringProvider;
+module.exports.KmsKeyProvider = KmsKeyProvider;
+module.exports.LruCache = LruCache;
+module.exports.registerSerializer = registerSerializer;
+module.exports.typeReplacer = typeReplacer;
+module.exports.typeReviver = typeReviver;
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const logger = require('./logger');
+const { ConflictError, NotFoundError, LockError } = require('./errors');
+
+// Each lock is one small JSON object, <name>.json holding
+// { owner, token, acquiredAt, expiresAt }. db is the S3DB scoped to the
+// locks' reserved prefix, see S3DB#_reservedDb().
+
+const DEFAULT_TTL_MS = 30 * 1000;
+const DEFAULT_RETRY_DELAY_MS = 250;
+
+// A lease on a lock, as returned by acquireLock(). Every change to the lock
+// object is conditional on the ETag of the last one we wrote, so a lease
+// that was taken over after expiring can neither be renewed nor release
+// the new holder's lock. `signal` is aborted once the lease is released or
+// known to be lost, pass it to long running calls so they stop.
+class Lease {
+  constructor(db, name, { owner, token, etag, acquiredAt, expiresAt, ttlMs }) {
+    this.db = db;
+    this.name = name;
+    this.owner = owner;
+    this.token = token;
+    this.acquiredAt = acquiredAt;
+    this.etag = etag;
+    this.expiresAt = expiresAt;
+    this.ttlMs = ttlMs;
+    this.controller = new AbortController();
+  }
+
+  get signal() {
+    return this.controller.signal;
+  }
+
+  get expired() {
+    return Date.now() >= this.expiresAt.getTime();
+  }
+
+  // Extends the lease by ttlMs (by default the TTL it was acquired with)
+  // from now. Throws a LockError if the lease has been lost.
+  async renew(ttlMs = this.ttlMs) {
+    const expiresAt = new Date(Date.now() + ttlMs);
+    try {
+      const { etag } = await writeLock(this.db, this.name, { owner: this.owner, token: this.token, acquiredAt: this.acquiredAt, expiresAt }, { ifMatch: this.etag });
+      this.etag = etag;
+      this.expiresAt = expiresAt;
+      this.ttlMs = ttlMs;
+      logger.trace(`S3DB: Renewed lock ${this.name} until ${expiresAt.toISOString()}`);
+    } catch (err) {
+      if (err instanceof ConflictError || err instanceof NotFoundError) {
+        const lost = new LockError(`Lease on lock ${this.name} has been lost`, {
+          bucket: this.db.bucketName,
+          key: lockKey(this.db, this.name),
+          cause: err,
+        });
+        this.controller.abort(lost);
+        throw lost;
+      }
+      throw err;
+    }
+  }
+
+  // Releases the lock, resolves to false if the lease had already been lost
+  async release() {
+    try {
+      await this.db.deleteRaw(lockPath(this.name), { ifMatch: this.etag, hooks: false });
+      logger.trace(`S3DB: Released lock ${this.name}`);
+      return true;
+    } catch (err) {
+      if (err instanceof ConflictError || err instanceof NotFoundError) {
+        logger.trace(`S3DB: Lock ${this.name} was no longer held by ${this.owner}`);
+        return false;
+      }
+      throw err;
+    } finally {
+      this.controller.abort();
+    }
+  }
+}
+
+// Acquires the named lock, taking it over if the current lease has expired.
+// When the lock is held, waits up to waitMs for it (polling every
+// retryDelayMs) before throwing a LockError.
+async function acquireLock(db, name, options = {}) {
+  const {
+    ttlMs = DEFAULT_TTL_MS,
+    owner = `${os.hostname()}:${process.pid}`,
+    waitMs = 0,
+    retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+  } = options;
+  if (typeof name !== 'string' || !name) {
+    throw new Error(`Invalid lock name: ${name}. Lock name must be a non-empty string.`);
+  }
+  if (typeof ttlMs !== 'number' || ttlMs <= 0) {
+    throw new Error(`Invalid ttlMs: ${ttlMs}. ttlMs must be a positive number.`);
+  }
+
+  const deadline = Date.now() + waitMs;
+  for (;;) {
+    const token = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + ttlMs);
+    const lease = { owner, token, acquiredAt: new Date(), expiresAt, ttlMs };
+
+    try {
+      const { etag } = await writeLock(db, name, lease, { ifNoneMatch: '*' });
+      logger.trace(`S3DB: Acquired lock ${name} for ${owner}`);
+      return new Lease(db, name, { ...lease, etag });
+    } catch (err) {
+      if (!(err instanceof ConflictError)) {
+        throw err;
+      }
+    }
+
+    const current = await readLock(db, name);
+    if (current && current.expiresAt.getTime() <= Date.now()) {
+      // the holder didn't renew in time, take over its lease unless someone
+      // else gets there first
+      try {
+        const { etag } = await writeLock(db, name, lease, { ifMatch: current.etag });
+        logger.warn(`S3DB: Took over lock ${name} from ${current.owner}, whose lease expired at ${current.expiresAt.toISOString()}`);
+        return new Lease(db, name, { ...lease, etag });
+      } catch (err) {
+        if (!(err instanceof ConflictError || err instanceof NotFoundError)) {
+          throw err;
+        }
+      }
+    }
+
+    // a lock released between our write and read can be tried again at once
+    if (current === null) {
+      continue;
+    }
+    if (Date.now() + retryDelayMs > deadline) {
+      throw new LockError(`Lock ${name} is held by ${current.owner} until ${current.expiresAt.toISOString()}`, {
+        bucket: db.bucketName,
+        key: lockKey(db, name),
+        owner: current.owner,
+        expiresAt: current.expiresAt,
+      });
+    }
+    await new Promise(resolve => setTimeout(resolve, retryDelayMs));
+  }
+}
+
+// Runs fn(lease) while holding the named lock and releases it afterwards,
+// renewing the lease every ttlMs / 2 while fn runs. Takes the options of
+// acquireLock().
+async function withLock(db, name, fn, options = {}) {
+  const lease = await acquireLock(db, name, options);
+  const timer = setInterval(() => {
+    lease.renew().catch(err => {
+      logger.warn(`S3DB: Failed to renew lock ${name}: ${err.message}`);
+      if (err instanceof LockError) {
+        clearInterval(timer);
+      }
+    });
+  }, lease.ttlMs / 2);
+  // don't keep the process alive just to renew
+  timer.unref();
+
+  try {
+    return await fn(lease);
+  } finally {
+    clearInterval(timer);
+    await lease.release();
+  }
+}
+
+async function writeLock(db, name, { owner, token, acquiredAt, expiresAt }, conditions) {
+  const body = JSON.stringify({ owner, token, acquiredAt: acquiredAt.toISOString(), expiresAt: expiresAt.toISOString() });
+  // locks are bookkeeping rather than data, so they bypass hooks and the change log
+  return await db.putRaw(lockPath(name), body, { contentType: 'application/json', hooks: false, ...conditions });
+}
+
+// Resolves to the current lease on the lock with its ETag, or null if the
+// lock is free
+async function readLock(db, name) {
+  const result = await db.getRaw(lockPath(name), { withETag: true, returnNullIfNotFound: true, cache: false });
+  if (result === null) {
+    return null;
+  }
+  const lock = JSON.parse(result.body.toString('utf-8'));
+  return { owner: lock.owner, expiresAt: new Date(lock.expiresAt), etag: result.etag };
+}
+
+// Names are encoded so they can contain slashes, e.g. a prefix being worked on
+function lockPath(name) {
+  return `${encodeURIComponent(name)}.json`;
+}
+
+function lockKey(db, name) {
+  return path.join(db.prefix, lockPath(name));
+}
+
+module.exports = {
+  Lease,
+  acquireLock,
+  withLock,
+};
@@ -0,0 +1,614 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+// An in-memory stand-in for the AWS SDK S3Client. It implements send() for
+// the commands S3DB uses, with the same semantics as S3 (ETags, conditional
+// writes, paginated listing, delimiters, multipart uploads), so code using
+// S3DB can be tested without an AWS account:
+//
+//   const s3db = new S3DB('mybucket', 'users', { client: new MemoryS3Client() });
+//
+// Buckets are created on first use. Objects live only as long as the client.
+// Pass { versioning: true } to keep every version of every object, like a
+// bucket with S3 versioning enabled.
+class MemoryS3Client {
+  constructor(options = {}) {
+    this.versioning = !!options.versioning;
+    this.buckets = new Map();
+    // bucket name => key => versions, oldest first
+    this.versions = new Map();
+    this.multipartUploads = new Map();
+
+    // lib-storage's Upload reads the endpoint and path style from the client
+    // config to build the Location of the uploaded object, and whether to
+    // ask for checksums on multipart uploads
+    this.config = {
+      forcePathStyle: true,
+      endpoint: async () => ({ protocol: 'memory:', hostname: 'localhost', path: '/' }),
+      requestChecksumCalculation: async () => 'WHEN_REQUIRED',
+    };
+  }
+
+  async send(command, options = {}) {
+    const handler = this[`handle${command.constructor.name}`];
+    if (typeof handler !== 'function') {
+      throw new Error(`MemoryS3Client: Unsupported command ${command.constructor.name}`);
+    }
+    if (options.abortSignal && options.abortSignal.aborted) {
+      const err = new Error('Request aborted');
+      err.name = 'AbortError';
+      throw err;
+    }
+    return await handler.call(this, command.input || {});
+  }
+
+  destroy() {}
+
+  // Removes every object from every bucket
+  clear() {
+    this.buckets.clear();
+    this.versions.clear();
+    this.multipartUploads.clear();
+  }
+
+  getBucket(bucketName) {
+    if (!this.buckets.has(bucketName)) {
+      this.buckets.set(bucketName, new Map());
+    }
+    return this.buckets.get(bucketName);
+  }
+
+  getVersions(bucketName, key) {
+    if (!this.versions.has(bucketName)) {
+      this.versions.set(bucketName, new Map());
+    }
+    const bucketVersions = this.versions.get(bucketName);
+    if (!bucketVersions.has(key)) {
+      bucketVersions.set(key, []);
+    }
+    return bucketVersions.get(key);
+  }
+
+  // Makes object the current version of key, keeping the previous versions
+  // when versioning is on
+  storeObject(bucketName, key, object) {
+    if (this.versioning) {
+      object.versionId = newVersionId();
+      this.getVersions(bucketName, key).push(object);
+    }
+    this.getBucket(bucketName).set(key, object);
+  }
+
+  // Deletes key, which only adds a delete marker when versioning is on
+  removeObject(bucketName, key) {
+    this.getBucket(bucketName).delete(key);
+    if (!this.versioning) {
+      return {};
+    }
+    const marker = { deleteMarker: true, versionId: newVersionId(), lastModified: new Date() };
+    this.getVersions(bucketName, key).push(marker);
+    return { DeleteMarker: true, VersionId: marker.versionId };
+  }
+
+  // Permanently deletes a single version, the previous version becomes the
+  // current one if the latest was deleted
+  removeVersion(bucketName, key, versionId) {
+    const versions = this.getVersions(bucketName, key);
+    const index = versions.findIndex(version => version.versionId === versionId);
+    if (index === -1) {
+      return { VersionId: versionId };
+    }
+    const [removed] = versions.splice(index, 1);
+
+    const latest = versions[versions.length - 1];
+    if (latest && !latest.deleteMarker) {
+      this.getBucket(bucketName).set(key, latest);
+    } else {
+      this.getBucket(bucketName).delete(key);
+    }
+    return removed.deleteMarker ? { DeleteMarker: true, VersionId: versionId } : { VersionId: versionId };
+  }
+
+  // Returns the requested version of key, or the current one. A delete
+  // marker can't be read, just like S3 answers 405 for those.
+  findObject(bucketName, key, versionId, notFoundCode = 'NoSuchKey') {
+    if (!versionId) {
+      const object = this.getBucket(bucketName).get(key);
+      if (!object) {
+        throw s3Error(notFoundCode, 404, 'The specified key does not exist.');
+      }
+      return object;
+    }
+
+    const version = this.getVersions(bucketName, key).find(v => v.versionId === versionId);
+    if (!version) {
+      throw s3Error('NoSuchVersion', 404, 'The specified version does not exist.');
+    }
+    if (version.deleteMarker) {
+      throw s3Error('MethodNotAllowed', 405, 'The specified method is not allowed against this resource.');
+    }
+    return version;
+  }
+
+  async handlePutObjectCommand(input) {
+    // read the body first so the precondition check and the write happen
+    // without yielding, just like S3 applies them atomically
+    const body = await readBody(input.Body);
+    const bucket = this.getBucket(input.Bucket);
+    checkWritePreconditions(bucket.get(input.Key), input);
+
+    const object = createObject(body, input);
+    this.storeObject(input.Bucket, input.Key, object);
+    return { ETag: object.etag, ...versionOutput(object), ...sseOutput(object) };
+  }
+
+  async handleGetObjectCommand(input) {
+    const object = this.findObject(input.Bucket, input.Key, input.VersionId);
+    checkReadPreconditions(object, input);
+
+    const range = input.Range && parseRange(input.Range, object.body.length);
+    if (range) {
+      const { start, end } = range;
+      return {
+        ...objectHeaders(object),
+        ContentLength: end - start + 1,
+        ContentRange: `bytes ${start}-${end}/${object.body.length}`,
+        Body: createBodyStream(object.body.subarray(start, end + 1)),
+      };
+    }
+    return {
+      ...objectHeaders(object),
+      Body: createBodyStream(object.body),
+    };
+  }
+
+  async handleHeadObjectCommand(input) {
+    const object = this.findObject(input.Bucket, input.Key, input.VersionId, 'NotFound');
+    checkReadPreconditions(object, input);
+    return objectHeaders(object);
+  }
+
+  async handleDeleteObjectCommand(input) {
+    const bucket = this.getBucket(input.Bucket);
+    const object = bucket.get(input.Key);
+    if (input.IfMatch) {
+      if (!object) {
+        throw s3Error('NoSuchKey', 404, 'The specified key does not exist.');
+      }
+      if (input.IfMatch !== '*' && input.IfMatch !== object.etag) {
+        throw s3Error('PreconditionFailed', 412, 'At least one of the pre-conditions you specified did not hold');
+      }
+    }
+    if (input.VersionId) {
+      return this.removeVersion(input.Bucket, input.Key, input.VersionId);
+    }
+    return this.removeObject(input.Bucket, input.Key);
+  }
+
+  async handleDeleteObjectsCommand(input) {
+    const objects = (input.Delete && input.Delete.Objects) || [];
+    if (objects.length > 1000) {
+      throw s3Error('MalformedXML', 400, 'The XML you provided was not well-formed or did not validate against our published schema');
+    }
+    const deleted = objects.map(({ Key, VersionId }) => {
+      const result = VersionId ? this.removeVersion(input.Bucket, Key, VersionId) : this.removeObject(input.Bucket, Key);
+      return { Key, ...result };
+    });
+    return { Deleted: input.Delete.Quiet ? [] : deleted, Errors: [] };
+  }
+
+  async handleCopyObjectCommand(input) {
+    const { bucketName, key, versionId } = parseCopySource(input.CopySource);
+    const source = this.findObject(bucketName, key, versionId);
+    if (input.CopySourceIfMatch && input.CopySourceIfMatch !== source.etag) {
+      throw s3Error('PreconditionFailed', 412, 'At least one of the pre-conditions you specified did not hold');
+    }
+
+    const destinationBucket = this.getBucket(input.Bucket);
+    checkWritePreconditions(destinationBucket.get(input.Key), input);
+
+    // S3 copies the source metadata unless asked to replace it
+    const attributes = input.MetadataDirective === 'REPLACE' ? input : {
+      ...input,
+      ContentType: source.contentType,
+      ContentEncoding: source.contentEncoding,
+      CacheControl: source.cacheControl,
+      Metadata: source.metadata,
+    };
+    const object = createObject(source.body, attributes);
+    object.tags = input.TaggingDirective === 'REPLACE' ? parseTagging(input.Tagging) : source.tags;
+    this.storeObject(input.Bucket, input.Key, object);
+    const result = {
+      CopyObjectResult: { ETag: object.etag, LastModified: object.lastModified },
+      ...versionOutput(object),
+      ...sseOutput(object),
+    };
+    if (source.versionId) {
+      result.CopySourceVersionId = source.versionId;
+    }
+    return result;
+  }
+
+  async handleListObjectsV2Command(input) {
+    const bucket = this.getBucket(input.Bucket);
+    const prefix = input.Prefix || '';
+    const delimiter = input.Delimiter;
+    const maxKeys = input.MaxKeys === undefined ? 1000 : input.MaxKeys;
+    const startAfter = input.ContinuationToken
+      ? Buffer.from(input.ContinuationToken, 'base64').toString('utf-8')
+      : input.StartAfter || '';
+
+    const keys = Array.from(bucket.keys())
+      .filter(key => key.startsWith(prefix) && key > startAfter)
+      .sort();
+
+    const contents = [];
+    const commonPrefixes = [];
+    let lastKey = null;
+    let isTruncated = false;
+
+    for (const key of keys) {
+      // With a delimiter, everything below the next delimiter is rolled up
+      // into a single common prefix
+      let commonPrefix = null;
+      if (delimiter) {
+        const index = key.indexOf(delimiter, prefix.length);
+        if (index !== -1) {
+          commonPrefix = key.slice(0, index + delimiter.length);
+        }
+      }
+      if (commonPrefix && commonPrefixes.length && commonPrefixes[commonPrefixes.length - 1].Prefix === commonPrefix) {
+        continue;
+      }
+      if (contents.length + commonPrefixes.length >= maxKeys) {
+        isTruncated = true;
+        break;
+      }
+
+      if (commonPrefix) {
+        commonPrefixes.push({ Prefix: commonPrefix });
+        // continue after every key under this common prefix
+        lastKey = commonPrefix + '\uffff';
+      } else {
+        const object = bucket.get(key);
+        contents.push({
+          Key: key,
+          Size: object.body.length,
+          ETag: object.etag,
+          LastModified: object.lastModified,
+          StorageClass: 'STANDARD',
+        });
+        lastKey = key;
+      }
+    }
+
+    const response = {
+      Name: input.Bucket,
+      Prefix: prefix,
+      KeyCount: contents.length + commonPrefixes.length,
+      MaxKeys: maxKeys,
+      IsTruncated: isTruncated,
+    };
+    if (contents.length) {
+      response.Contents = contents;
+    }
+    if (commonPrefixes.length) {
+      response.CommonPrefixes = commonPrefixes;
+    }
+    if (delimiter) {
+      response.Delimiter = delimiter;
+    }
+    if (input.ContinuationToken) {
+      response.ContinuationToken = input.ContinuationToken;
+    }
+    if (isTruncated) {
+      response.NextContinuationToken = Buffer.from(lastKey, 'utf-8').toString('base64');
+    }
+    return response;
+  }
+
+  // Versions are listed by key, newest first. Without versioning every
+  // object is listed as its only version, with the version ID 'null'.
+  async handleListObjectVersionsCommand(input) {
+    const prefix = input.Prefix || '';
+    const maxKeys = input.MaxKeys === undefined ? 1000 : input.MaxKeys;
+
+    const entries = [];
+    if (this.versioning) {
+      const bucketVersions = this.versions.get(input.Bucket) || new Map();
+      for (const key of Array.from(bucketVersions.keys()).filter(k => k.startsWith(prefix)).sort()) {
+        bucketVersions.get(key).slice().reverse().forEach((version, i) => {
+          entries.push({ key, version, isLatest: i === 0 });
+        });
+      }
+    } else {
+      const bucket = this.getBucket(input.Bucket);
+      for (const key of Array.from(bucket.keys()).filter(k => k.startsWith(prefix)).sort()) {
+        entries.push({ key, version: { ...bucket.get(key), versionId: 'null' }, isLatest: true });
+      }
+    }
+
+    let start = 0;
+    if (input.KeyMarker && input.VersionIdMarker) {
+      start = entries.findIndex(e => e.key === input.KeyMarker && e.version.versionId === input.VersionIdMarker) + 1;
+    } else if (input.KeyMarker) {
+      start = entries.findIndex(e => e.key > input.KeyMarker);
+      start = start === -1 ? entries.length : start;
+    }
+    const page = entries.slice(start, start + maxKeys);
+    const isTruncated = start + maxKeys < entries.length;
+
+    const response = {
+      Name: input.Bucket,
+      Prefix: prefix,
+      MaxKeys: maxKeys,
+      IsTruncated: isTruncated,
+    };
+    const versions = page.filter(e => !e.version.deleteMarker).map(({ key, version, isLatest }) => ({
+      Key: key,
+      VersionId: version.versionId,
+      IsLatest: isLatest,
+      LastModified: version.lastModified,
+      ETag: version.etag,
+      Size: version.body.length,
+      StorageClass: 'STANDARD',
+    }));
+    const deleteMarkers = page.filter(e => e.version.deleteMarker).map(({ key, version, isLatest }) => ({
+      Key: key,
+      VersionId: version.versionId,
+      IsLatest: isLatest,
+      LastModified: version.lastModified,
+    }));
+    if (versions.length) {
+      response.Versions = versions;
+    }
+    if (deleteMarkers.length) {
+      response.DeleteMarkers = deleteMarkers;
+    }
+    if (isTruncated) {
+      const last = page[page.length - 1];
+      response.NextKeyMarker = last.key;
+      response.NextVersionIdMarker = last.version.versionId;
+    }
+    return response;
+  }
+
+  async handlePutObjectTaggingCommand(input) {
+    const object = this.getBucket(input.Bucket).get(input.Key);
+    if (!object) {
+      throw s3Error('NoSuchKey', 404, 'The specified key does not exist.');
+    }
+    object.tags = ((input.Tagging && input.Tagging.TagSet) || []).map(({ Key, Value }) => ({ Key, Value }));
+    return {};
+  }
+
+  async handleGetObjectTaggingCommand(input) {
+    const object = this.getBucket(input.Bucket).get(input.Key);
+    if (!object) {
+      throw s3Error('NoSuchKey', 404, 'The specified key does not exist.');
+    }
+    return { TagSet: object.tags.map(({ Key, Value }) => ({ Key, Value })) };
+  }
+
+  async handleCreateMultipartUploadCommand(input) {
+    const uploadId = crypto.randomUUID();
+    this.multipartUploads.set(uploadId, { input, parts: new Map() });
+    return { Bucket: input.Bucket, Key: input.Key, UploadId: uploadId };
+  }
+
+  async handleUploadPartCommand(input) {
+    const upload = this.multipartUploads.get(input.UploadId);
+    if (!upload) {
+      throw s3Error('NoSuchUpload', 404, 'The specified upload does not exist.');
+    }
+    const body = await readBody(input.Body);
+    const etag = `"${md5(body)}"`;
+    upload.parts.set(input.PartNumber, { body, etag });
+    return { ETag: etag };
+  }
+
+  async handleCompleteMultipartUploadCommand(input) {
+    const upload = this.multipartUploads.get(input.UploadId);
+    if (!upload) {
+      throw s3Error('NoSuchUpload', 404, 'The specified upload does not exist.');
+    }
+    const bucket = this.getBucket(input.Bucket);
+    checkWritePreconditions(bucket.get(input.Key), input);
+
+    const parts = (input.MultipartUpload && input.MultipartUpload.Parts) || [];
+    const bodies = parts.map(({ PartNumber }) => {
+      const part = upload.parts.get(PartNumber);
+      if (!part) {
+        throw s3Error('InvalidPart', 400, 'One or more of the specified parts could not be found.');
+      }
+      return part.body;
+    });
+
+    const object = createObject(Buffer.concat(bodies), upload.input);
+    // multipart ETags are the MD5 of the part MD5s followed by the part count
+    const partDigests = Buffer.concat(parts.map(({ PartNumber }) => Buffer.from(md5(upload.parts.get(PartNumber).body), 'hex')));
+    object.etag = `"${md5(partDigests)}-${parts.length}"`;
+    this.storeObject(input.Bucket, input.Key, object);
+    this.multipartUploads.delete(input.UploadId);
+
+    return { Bucket: input.Bucket, Key: input.Key, ETag: object.etag, ...versionOutput(object), ...sseOutput(object) };
+  }
+
+  async handleAbortMultipartUploadCommand(input) {
+    this.multipartUploads.delete(input.UploadId);
+    return {};
+  }
+}
+
+// Builds an error shaped like the ones thrown by the AWS SDK
+function s3Error(name, httpStatusCode, message) {
+  const err = new Error(message);
+  err.name = name;
+  err.Code = name;
+  err.$fault = httpStatusCode >= 500 ? 'server' : 'client';
+  err.$metadata = { httpStatusCode };
+  return err;
+}
+
+function checkWritePreconditions(existing, input) {
+  if (input.IfNoneMatch === '*' && existing) {
+    throw s3Error('PreconditionFailed', 412, 'At least one of the pre-conditions you specified did not hold');
+  }
+  if (input.IfMatch) {
+    if (!existing) {
+      throw s3Error('NoSuchKey', 404, 'The specified key does not exist.');
+    }
+    if (input.IfMatch !== '*' && input.IfMatch !== existing.etag) {
+      throw s3Error('PreconditionFailed', 412, 'At least one of the pre-conditions you specified did not hold');
+    }
+  }
+}
+
+function checkReadPreconditions(object, input) {
+  if (input.IfMatch && input.IfMatch !== '*' && input.IfMatch !== object.etag) {
+    throw s3Error('PreconditionFailed', 412, 'At least one of the pre-conditions you specified did not hold');
+  }
+  if (input.IfNoneMatch && (input.IfNoneMatch === '*' || input.IfNoneMatch === object.etag)) {
+    throw s3Error('NotModified', 304, 'Not Modified');
+  }
+}
+
+function createObject(body, input) {
+  return {
+    body,
+    etag: `"${md5(body)}"`,
+    lastModified: new Date(),
+    contentType: input.ContentType || 'application/octet-stream',
+    contentEncoding: input.ContentEncoding,
+    cacheControl: input.CacheControl,
+    metadata: { ...(input.Metadata || {}) },
+    tags: parseTagging(input.Tagging),
+    serverSideEncryption: input.ServerSideEncryption,
+    sseKmsKeyId: input.SSEKMSKeyId,
+  };
+}
+
+function objectHeaders(object) {
+  const headers = {
+    ContentLength: object.body.length,
+    ContentType: object.contentType,
+    ETag: object.etag,
+    LastModified: object.lastModified,
+    Metadata: { ...object.metadata },
+    ...versionOutput(object),
+    ...sseOutput(object),
+  };
+  if (object.contentEncoding) {
+    headers.ContentEncoding = object.contentEncoding;
+  }
+  if (object.cacheControl) {
+    headers.CacheControl = object.cacheControl;
+  }
+  if (object.tags.length) {
+    headers.TagCount = object.tags.length;
+  }
+  return headers;
+}
+
+// Parses a single 'bytes=start-end', 'bytes=start-' or 'bytes=-suffix'
+// range. Like S3, a range it can't parse is ignored and the whole object
+// returned, while one that starts past the end is a 416.
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header);
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+  let start;
+  let end;
+  if (match[1] === '') {
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  if (match[1] !== '' && match[2] !== '' && Number(match[2]) < start) {
+    return null;
+  }
+  if (start >= size) {
+    throw s3Error('InvalidRange', 416, 'The requested range is not satisfiable');
+  }
+  return { start, end };
+}
+
+function versionOutput(object) {
+  return object.versionId ? { VersionId: object.versionId } : {};
+}
+
+function newVersionId() {
+  return crypto.randomBytes(16).toString('base64url');
+}
+
+function sseOutput(object) {
+  if (!object.serverSideEncryption) {
+    return {};
+  }
+  return { ServerSideEncryption: object.serverSideEncryption, SSEKMSKeyId: object.sseKmsKeyId };
+}
+
+// Tagging is passed to PutObject as a URL query string, e.g. 'a=1&b=2'
+function parseTagging(tagging) {
+  if (!tagging) {
+    return [];
+  }
+  return Array.from(new URLSearchParams(tagging)).map(([Key, Value]) => ({ Key, Value }));
+}
+
+// CopySource is 'bucket/key', optionally URL encoded and followed by
+// '?versionId=...' to copy a particular version
+function parseCopySource(copySource) {
+  let source = copySource.startsWith('/') ? copySource.slice(1) : copySource;
+  let versionId;
+  const versionIndex = source.lastIndexOf('?versionId=');
+  if (versionIndex !== -1) {
+    versionId = decodeURIComponent(source.slice(versionIndex + '?versionId='.length));
+    source = source.slice(0, versionIndex);
+  }
+  try {
+    source = decodeURIComponent(source);
+  } catch (err) {
+    // not encoded, use it as is
+  }
+  const index = source.indexOf('/');
+  return { bucketName: source.slice(0, index), key: source.slice(index + 1), versionId };
+}
+
+async function readBody(body) {
+  if (body === undefined || body === null) {
+    return Buffer.alloc(0);
+  }
+  if (Buffer.isBuffer(body)) {
+    return Buffer.from(body);
+  }
+  if (typeof body === 'string' || body instanceof Uint8Array || body instanceof ArrayBuffer) {
+    return Buffer.from(body);
+  }
+  if (typeof body[Symbol.asyncIterator] === 'function') {
+    const chunks = [];
+    for await (const chunk of body) {
+      chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+  }
+  throw new Error(`MemoryS3Client: Unsupported body type ${typeof body}`);
+}
+
+// Returns the body as a Readable with the same helpers the SDK mixes into
+// GetObject response bodies
+function createBodyStream(body) {
+  const stream = Readable.from([Buffer.from(body)]);
+  stream.transformToByteArray = async () => new Uint8Array(body);
+  stream.transformToString = async (encoding = 'utf-8') => body.toString(encoding);
+  return stream;
+}
+
+function md5(data) {
+  return crypto.createHash('md5').update(data).digest('hex');
+}
+
+module.exports = MemoryS3Client;
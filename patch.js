@@ -0,0 +1,226 @@
+const { PatchError } = require('./errors');
+
+// How update() combines the stored record with the data it is given:
+// - shallow: top-level fields are replaced, { ...record, ...changes }
+// - deep: nested objects are merged too, anything else (arrays included)
+//   is replaced
+// - merge-patch: RFC 7396 JSON Merge Patch, like deep except that a null
+//   removes the field
+const MERGE_STRATEGIES = {
+  shallow: (record, changes) => ({ ...record, ...changes }),
+  deep: deepMerge,
+  'merge-patch': mergePatch,
+};
+
+function validateMergeStrategy(strategy) {
+  if (!MERGE_STRATEGIES[strategy]) {
+    throw new Error(`Invalid merge strategy: ${strategy}. Merge strategy must be one of ${Object.keys(MERGE_STRATEGIES).join(', ')}.`);
+  }
+}
+
+function mergeData(strategy, record, changes) {
+  return MERGE_STRATEGIES[strategy](record, changes);
+}
+
+function deepMerge(target, changes) {
+  if (!isPlainObject(target) || !isPlainObject(changes)) {
+    return changes;
+  }
+  const merged = { ...target };
+  for (const [name, value] of Object.entries(changes)) {
+    merged[name] = name in target ? deepMerge(target[name], value) : value;
+  }
+  return merged;
+}
+
+// RFC 7396 section 2, without modifying target
+function mergePatch(target, patch) {
+  if (!isPlainObject(patch)) {
+    return patch;
+  }
+  const merged = isPlainObject(target) ? { ...target } : {};
+  for (const [name, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete merged[name];
+    } else {
+      merged[name] = mergePatch(merged[name], value);
+    }
+  }
+  return merged;
+}
+
+// Applies RFC 6902 JSON Patch operations (add, remove, replace, move, copy
+// and test) to document, resolving to the patched copy. The operations are
+// applied in order and all or nothing, a failing one throws a PatchError
+// carrying its index.
+function applyJsonPatch(document, operations) {
+  if (!Array.isArray(operations)) {
+    throw new PatchError('Invalid JSON Patch: operations must be an array.');
+  }
+
+  let result = clone(document);
+  operations.forEach((operation, index) => {
+    const fail = reason => new PatchError(`JSON Patch operation ${index} (${operation && operation.op} ${operation && operation.path}) failed: ${reason}`, { index });
+    if (!operation || typeof operation.path !== 'string') {
+      throw fail('path must be a string');
+    }
+    const path = parsePointer(operation.path, fail);
+
+    switch (operation.op) {
+      case 'add':
+        requireValue(operation, fail);
+        result = add(result, path, clone(operation.value), fail);
+        break;
+      case 'remove':
+        result = remove(result, path, fail);
+        break;
+      case 'replace':
+        requireValue(operation, fail);
+        // the whole document can be replaced, though not removed
+        result = path.length
+          ? add(remove(result, path, fail), path, clone(operation.value), fail)
+          : clone(operation.value);
+        break;
+      case 'move': {
+        const from = parsePointer(operation.from, fail);
+        if (from.length < path.length && from.every((token, i) => token === path[i])) {
+          throw fail('a value can\'t be moved into one of its own children');
+        }
+        const value = get(result, from, fail);
+        result = add(remove(result, from, fail), path, value, fail);
+        break;
+      }
+      case 'copy':
+        result = add(result, path, clone(get(result, parsePointer(operation.from, fail), fail)), fail);
+        break;
+      case 'test':
+        requireValue(operation, fail);
+        if (!deepEqual(get(result, path, fail), operation.value)) {
+          throw fail(`value is ${JSON.stringify(get(result, path, fail))}, expected ${JSON.stringify(operation.value)}`);
+        }
+        break;
+      default:
+        throw fail(`unknown operation ${JSON.stringify(operation.op)}`);
+    }
+  });
+  return result;
+}
+
+// Splits an RFC 6901 JSON Pointer into its reference tokens
+function parsePointer(pointer, fail) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw fail(`invalid JSON Pointer ${JSON.stringify(pointer)}`);
+  }
+  if (pointer === '') {
+    return [];
+  }
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function requireValue(operation, fail) {
+  if (!('value' in operation)) {
+    throw fail('value is missing');
+  }
+}
+
+function get(document, path, fail) {
+  let value = document;
+  for (const token of path) {
+    if (Array.isArray(value)) {
+      const index = arrayIndex(token, value.length - 1, fail);
+      value = value[index];
+    } else if (isObject(value) && Object.prototype.hasOwnProperty.call(value, token)) {
+      value = value[token];
+    } else {
+      throw fail('path does not exist');
+    }
+  }
+  return value;
+}
+
+// The container holding the last token of path
+function parentOf(document, path, fail) {
+  const parent = get(document, path.slice(0, -1), fail);
+  if (!isObject(parent)) {
+    throw fail('path does not exist');
+  }
+  return parent;
+}
+
+function add(document, path, value, fail) {
+  if (!path.length) {
+    return value;
+  }
+  const parent = parentOf(document, path, fail);
+  const token = path[path.length - 1];
+  if (Array.isArray(parent)) {
+    const index = token === '-' ? parent.length : arrayIndex(token, parent.length, fail);
+    parent.splice(index, 0, value);
+  } else {
+    parent[token] = value;
+  }
+  return document;
+}
+
+function remove(document, path, fail) {
+  if (!path.length) {
+    throw fail('the whole document can\'t be removed');
+  }
+  const parent = parentOf(document, path, fail);
+  const token = path[path.length - 1];
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(token, parent.length - 1, fail), 1);
+  } else if (Object.prototype.hasOwnProperty.call(parent, token)) {
+    delete parent[token];
+  } else {
+    throw fail('path does not exist');
+  }
+  return document;
+}
+
+// Array indexes are digits without leading zeros, up to max
+function arrayIndex(token, max, fail) {
+  if (!/^(0|[1-9][0-9]*)$/.test(token) || Number(token) > max) {
+    throw fail(`invalid array index ${token}`);
+  }
+  return Number(token);
+}
+
+// Copies plain objects and arrays, other values (Dates, Buffers, ...) are
+// shared
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, clone(item)]));
+  }
+  return value;
+}
+
+function deepEqual(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const names = Object.keys(a);
+    return names.length === Object.keys(b).length &&
+      names.every(name => Object.prototype.hasOwnProperty.call(b, name) && deepEqual(a[name], b[name]));
+  }
+  return a === b;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function isPlainObject(value) {
+  return isObject(value) && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+module.exports = {
+  validateMergeStrategy,
+  mergeData,
+  applyJsonPatch,
+  clone,
+};
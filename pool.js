@@ -0,0 +1,34 @@
+// Maps items through the async function fn with at most `concurrency` calls
+// in flight at once. Resolves to the results in the same order as items.
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(Math.max(concurrency, 1), items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+// Splits items into arrays of at most size items
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+module.exports = {
+  mapWithConcurrency,
+  chunk,
+};
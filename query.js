@@ -0,0 +1,170 @@
+// Helpers for S3DB.query(): Mongo-style filters, field projection and cursors
+
+// Returns true if doc matches the filter. A filter maps dot paths to either a
+// value (deep equality, or membership for array fields) or an operator
+// object, e.g. { status: 'active', 'address.city': { $in: ['Boston', 'Denver'] } }.
+// Supported operators: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists,
+// $regex, $size, $not and the top-level $and, $or and $nor.
+function matchesFilter(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    switch (field) {
+      case '$and':
+        return condition.every(subFilter => matchesFilter(doc, subFilter));
+      case '$or':
+        return condition.some(subFilter => matchesFilter(doc, subFilter));
+      case '$nor':
+        return !condition.some(subFilter => matchesFilter(doc, subFilter));
+      default:
+        return matchesCondition(getField(doc, field), condition);
+    }
+  });
+}
+
+function matchesCondition(value, condition) {
+  if (!isOperatorObject(condition)) {
+    return matchesValue(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq':
+        return matchesValue(value, operand);
+      case '$ne':
+        return !matchesValue(value, operand);
+      case '$gt':
+        return anyValue(value, v => compare(v, operand) > 0);
+      case '$gte':
+        return anyValue(value, v => compare(v, operand) >= 0);
+      case '$lt':
+        return anyValue(value, v => compare(v, operand) < 0);
+      case '$lte':
+        return anyValue(value, v => compare(v, operand) <= 0);
+      case '$in':
+        return operand.some(candidate => matchesValue(value, candidate));
+      case '$nin':
+        return !operand.some(candidate => matchesValue(value, candidate));
+      case '$exists':
+        return (value !== undefined) === Boolean(operand);
+      case '$regex': {
+        const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options);
+        return anyValue(value, v => typeof v === 'string' && regex.test(v));
+      }
+      case '$options':
+        return true;
+      case '$size':
+        return Array.isArray(value) && value.length === operand;
+      case '$not':
+        return !matchesCondition(value, operand);
+      default:
+        throw new Error(`Unsupported query operator: ${operator}`);
+    }
+  });
+}
+
+// Like MongoDB, a scalar matches an array field if any element matches it
+function matchesValue(value, expected) {
+  if (expected instanceof RegExp) {
+    return anyValue(value, v => typeof v === 'string' && expected.test(v));
+  }
+  if (Array.isArray(value) && !Array.isArray(expected)) {
+    return value.some(v => deepEqual(v, expected));
+  }
+  if (expected === null) {
+    return value === null || value === undefined;
+  }
+  return deepEqual(value, expected);
+}
+
+function anyValue(value, test) {
+  return Array.isArray(value) ? value.some(test) : test(value);
+}
+
+// Only values of the same type are ordered, anything else never matches a
+// range operator
+function compare(a, b) {
+  if (a === null || a === undefined || typeof a !== typeof b) {
+    return NaN;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function isOperatorObject(condition) {
+  return condition !== null && typeof condition === 'object' && !Array.isArray(condition) &&
+    !(condition instanceof RegExp) && Object.keys(condition).some(key => key.startsWith('$'));
+}
+
+function deepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => deepEqual(a[key], b[key]));
+}
+
+// Reads a dot path such as 'address.city'
+function getField(doc, field) {
+  let value = doc;
+  for (const part of field.split('.')) {
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+    value = value[part];
+  }
+  return value;
+}
+
+// Returns a copy of doc with only the selected dot paths, or the result of
+// select(doc) when select is a function
+function projectFields(doc, select) {
+  if (typeof select === 'function') {
+    return select(doc);
+  }
+
+  const projected = {};
+  for (const field of select) {
+    const value = getField(doc, field);
+    if (value === undefined) {
+      continue;
+    }
+    const parts = field.split('.');
+    let target = projected;
+    for (const part of parts.slice(0, -1)) {
+      target[part] = target[part] || {};
+      target = target[part];
+    }
+    target[parts[parts.length - 1]] = value;
+  }
+  return projected;
+}
+
+// The cursor is the continuation token of the listing page the query stopped
+// in plus how many keys of that page were already consumed
+function encodeCursor(token, skip) {
+  return Buffer.from(JSON.stringify({ t: token, s: skip }), 'utf-8').toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) {
+    return { token: undefined, skip: 0 };
+  }
+  try {
+    const { t, s } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    return { token: t || undefined, skip: s || 0 };
+  } catch (err) {
+    throw new Error(`Invalid query cursor: ${cursor}`);
+  }
+}
+
+module.exports = {
+  matchesFilter,
+  projectFields,
+  getField,
+  encodeCursor,
+  decodeCursor,
+};
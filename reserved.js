@@ -0,0 +1,58 @@
+// Names S3DB keeps for itself: the object metadata it writes and the
+// sub-prefixes its own bookkeeping lives under.
+
+// Metadata on objects S3DB wrote. S3 lower-cases user metadata keys, so
+// these are lower case too.
+const METADATA_COMPRESSION = 's3db-compression';
+const METADATA_ENCRYPTION = 's3db-encryption';
+const METADATA_KEY_ID = 's3db-key-id';
+const METADATA_DATA_KEY = 's3db-data-key';
+const METADATA_IV = 's3db-iv';
+const METADATA_EXPIRES_AT = 's3db-expires-at';
+
+// Bookkeeping lives next to the data, under these sub-prefixes of an
+// instance's prefix:
+// - _indexes/<collection>/<field>/<value>/<key>: secondary index pointers
+// - _transactions/<id>.json and _transactions/<id>/: manifests and staged objects
+// - _locks/<name>.json: locks
+// - _sequences/<name>.json: the counters behind sequences
+// - _changes/<id>.json: the change log
+const INDEX_PREFIX = '_indexes';
+const TRANSACTION_PREFIX = '_transactions';
+const LOCK_PREFIX = '_locks';
+const SEQUENCE_PREFIX = '_sequences';
+const CHANGES_PREFIX = '_changes';
+
+const RESERVED_PREFIXES = [INDEX_PREFIX, TRANSACTION_PREFIX, LOCK_PREFIX, SEQUENCE_PREFIX, CHANGES_PREFIX];
+
+// Whether key, relative to an instance's prefix, is under one of the
+// reserved prefixes
+function isReserved(key) {
+  const [first] = String(key).replace(/^\/+/, '').split('/');
+  return RESERVED_PREFIXES.includes(first);
+}
+
+// Throws for a key (or `what` else, e.g. a collection name) under one of
+// the reserved prefixes, which only S3DB itself writes to
+function assertNotReserved(key, what = 'key') {
+  if (isReserved(key)) {
+    throw new Error(`Invalid ${what}: ${key}. ${RESERVED_PREFIXES.map(prefix => `${prefix}/`).join(', ')} are reserved for S3DB's own bookkeeping.`);
+  }
+}
+
+module.exports = {
+  METADATA_COMPRESSION,
+  METADATA_ENCRYPTION,
+  METADATA_KEY_ID,
+  METADATA_DATA_KEY,
+  METADATA_IV,
+  METADATA_EXPIRES_AT,
+  INDEX_PREFIX,
+  TRANSACTION_PREFIX,
+  LOCK_PREFIX,
+  SEQUENCE_PREFIX,
+  CHANGES_PREFIX,
+  RESERVED_PREFIXES,
+  isReserved,
+  assertNotReserved,
+};
@@ -0,0 +1,134 @@
+const { S3DBError, ThrottledError, TimeoutError } = require('./errors');
+
+// By default S3DB makes a single attempt and leaves retrying to the SDK's
+// own (short) retry strategy. Pass a retry policy to the constructor, or to
+// any method, to retry on top of that:
+// - maxAttempts: total attempts including the first one
+// - baseDelayMs / maxDelayMs: exponential backoff with full jitter, the n-th
+//   retry waits a random time between 0 and min(maxDelayMs, baseDelayMs * 2^(n-1))
+// - retryOn: error classes to retry, or a predicate (err) => boolean. By
+//   default throttling (ThrottledError) and 5xx server errors are retried.
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 1,
+  baseDelayMs: 100,
+  maxDelayMs: 5000,
+  retryOn: isRetryableByDefault,
+};
+
+// Combines the instance policy with a per-call one, `false` disables retries
+function resolveRetryPolicy(instancePolicy, callPolicy) {
+  if (callPolicy === false) {
+    return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+  }
+  const policy = { ...DEFAULT_RETRY_POLICY, ...(instancePolicy || {}), ...(callPolicy || {}) };
+  if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+    throw new Error(`Invalid retry maxAttempts: ${policy.maxAttempts}. maxAttempts must be a positive integer.`);
+  }
+  return policy;
+}
+
+// Runs fn(signal) until it succeeds, fails with a non-retryable error or
+// runs out of attempts. The signal passed to fn is aborted when the caller's
+// signal aborts or timeoutMs elapses, whichever comes first, and the wait
+// between attempts is cut short the same way.
+async function withRetry(fn, { policy, signal, timeoutMs, onRetry, describe }) {
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer;
+  const abortFromCaller = () => controller.abort(signal.reason);
+
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+    } else {
+      signal.addEventListener('abort', abortFromCaller, { once: true });
+    }
+  }
+  if (timeoutMs) {
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  }
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      checkAborted(controller.signal, timedOut, timeoutMs, describe);
+      try {
+        return await fn(controller.signal);
+      } catch (err) {
+        checkAborted(controller.signal, timedOut, timeoutMs, describe, err);
+        if (attempt >= policy.maxAttempts || !shouldRetry(policy.retryOn, err)) {
+          throw err;
+        }
+        const delay = backoffDelay(policy, attempt);
+        if (onRetry) {
+          onRetry(err, attempt, delay);
+        }
+        await abortableSleep(delay, controller.signal);
+      }
+    }
+  } finally {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener('abort', abortFromCaller);
+    }
+  }
+}
+
+function checkAborted(signal, timedOut, timeoutMs, describe, cause) {
+  if (!signal.aborted) {
+    return;
+  }
+  const details = describe ? describe() : {};
+  if (timedOut) {
+    throw new TimeoutError(`Operation timed out after ${timeoutMs}ms`, { ...details, cause });
+  }
+  const err = new S3DBError('Operation aborted', { ...details, cause: cause || signal.reason });
+  err.code = 'AbortError';
+  throw err;
+}
+
+function shouldRetry(retryOn, err) {
+  if (typeof retryOn === 'function' && !isErrorClass(retryOn)) {
+    return retryOn(err);
+  }
+  const classes = Array.isArray(retryOn) ? retryOn : [retryOn];
+  return classes.some(errorClass => err instanceof errorClass);
+}
+
+function isErrorClass(fn) {
+  return fn === Error || fn.prototype instanceof Error;
+}
+
+function isRetryableByDefault(err) {
+  if (err instanceof ThrottledError) {
+    return true;
+  }
+  const cause = err.cause || err;
+  const status = cause.$metadata && cause.$metadata.httpStatusCode;
+  return status >= 500 || cause.$retryable !== undefined;
+}
+
+function backoffDelay(policy, attempt) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+function abortableSleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    signal.addEventListener('abort', done, { once: true });
+    function done() {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', done);
+      resolve();
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  withRetry,
+};
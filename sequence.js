@@ -0,0 +1,53 @@
+const logger = require('./logger');
+
+const DEFAULT_BLOCK_SIZE = 100;
+
+// Hands out increasing integer IDs from a counter in the bucket. Rather than
+// incrementing the counter for every ID, a block of blockSize IDs is
+// reserved at a time and handed out from memory, so there is one request
+// (and one chance of contention) per block. Each ID is handed out once
+// across all processes, but IDs are only increasing within a process, and
+// the rest of a block is skipped when the process exits. The counter is
+// <name>.json in db, the S3DB scoped to the sequences' reserved prefix.
+class Sequence {
+  constructor(db, name, { blockSize = DEFAULT_BLOCK_SIZE, ...options } = {}) {
+    if (typeof name !== 'string' || !name) {
+      throw new Error(`Invalid sequence name: ${name}. Sequence name must be a non-empty string.`);
+    }
+    if (!Number.isInteger(blockSize) || blockSize < 1) {
+      throw new Error(`Invalid blockSize: ${blockSize}. blockSize must be a positive integer.`);
+    }
+
+    this.db = db;
+    this.name = name;
+    this.blockSize = blockSize;
+    // passed on to increment(), e.g. retries or timeoutMs
+    this.options = options;
+    this.nextId = 0;
+    this.lastId = -1;
+    this.reserving = null;
+  }
+
+  // Resolves to the next ID, starting from 1
+  async next() {
+    while (this.nextId > this.lastId) {
+      // concurrent callers share one reservation
+      if (!this.reserving) {
+        this.reserving = this.reserve().finally(() => {
+          this.reserving = null;
+        });
+      }
+      await this.reserving;
+    }
+    return this.nextId++;
+  }
+
+  async reserve() {
+    const lastId = await this.db.increment(encodeURIComponent(this.name), 'value', this.blockSize, { ...this.options, hooks: false });
+    this.nextId = lastId - this.blockSize + 1;
+    this.lastId = lastId;
+    logger.trace(`S3DB: Reserved IDs ${this.nextId} to ${this.lastId} of sequence ${this.name}`);
+  }
+}
+
+module.exports = Sequence;
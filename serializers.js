@@ -0,0 +1,108 @@
+// Serializers turn records into object bodies and back. Each one defines:
+// - extension: appended to keys, e.g. '.json'
+// - contentType: stored as the object's Content-Type
+// - encode(data, options) => string or Buffer
+// - decode(body, options) => data, where body is a Buffer
+// options carries the instance's replacer and reviver, and `pretty` when
+// put() was asked to format for readability.
+const serializers = new Map();
+
+// Registers a serializer under name, so instances can pick it with
+// { serializer: name }. Registering an existing name replaces it.
+function registerSerializer(name, serializer) {
+  if (typeof name !== 'string' || !name) {
+    throw new Error(`Invalid serializer name: ${name}. Serializer name must be a non-empty string.`);
+  }
+  validateSerializer(serializer, name);
+  serializers.set(name, { name, ...serializer });
+}
+
+// Returns the serializer registered under name, or serializer itself when
+// given an object
+function getSerializer(serializer) {
+  if (serializer && typeof serializer === 'object') {
+    validateSerializer(serializer, serializer.name || 'custom');
+    return { name: 'custom', ...serializer };
+  }
+  if (!serializers.has(serializer)) {
+    throw new Error(`Unknown serializer: ${serializer}. Registered serializers: ${Array.from(serializers.keys()).join(', ')}.`);
+  }
+  return serializers.get(serializer);
+}
+
+function validateSerializer(serializer, name) {
+  if (!serializer || typeof serializer.encode !== 'function' || typeof serializer.decode !== 'function') {
+    throw new Error(`Invalid serializer ${name}: serializer must implement encode() and decode().`);
+  }
+  if (typeof serializer.extension !== 'string' || !serializer.extension.startsWith('.')) {
+    throw new Error(`Invalid serializer ${name}: extension must be a string starting with '.'.`);
+  }
+}
+
+registerSerializer('json', {
+  extension: '.json',
+  contentType: 'application/json',
+  encode: (data, { replacer, pretty } = {}) => JSON.stringify(data, replacer, pretty ? 2 : undefined),
+  decode: (body, { reviver } = {}) => JSON.parse(body.toString('utf-8'), reviver),
+});
+
+// Newline delimited JSON, one record per line. Records are arrays, which
+// suits logs and exports that are appended to or streamed line by line.
+registerSerializer('ndjson', {
+  extension: '.ndjson',
+  contentType: 'application/x-ndjson',
+  encode: (data, { replacer } = {}) => {
+    if (!Array.isArray(data)) {
+      throw new Error('NDJSON data must be an array of records.');
+    }
+    return data.map(record => JSON.stringify(record, replacer) + '\n').join('');
+  },
+  decode: (body, { reviver } = {}) => body.toString('utf-8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line, reviver)),
+});
+
+// A replacer/reviver pair that keeps the types JSON loses: Dates, BigInts
+// and Buffers are written as { $date }, { $bigint } and { $buffer } objects
+// and turned back into the real thing on read. Pass them as the instance's
+// replacer and reviver.
+function typeReplacer(key, value) {
+  // Dates and Buffers have a toJSON() that has already run by the time the
+  // replacer sees value, so look at the original on the holder
+  const original = this[key];
+  if (original instanceof Date) {
+    return { $date: original.toISOString() };
+  }
+  if (Buffer.isBuffer(original)) {
+    return { $buffer: original.toString('base64') };
+  }
+  if (typeof original === 'bigint') {
+    return { $bigint: original.toString() };
+  }
+  return value;
+}
+
+function typeReviver(key, value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 1) {
+      switch (keys[0]) {
+        case '$date':
+          return new Date(value.$date);
+        case '$buffer':
+          return Buffer.from(value.$buffer, 'base64');
+        case '$bigint':
+          return BigInt(value.$bigint);
+      }
+    }
+  }
+  return value;
+}
+
+module.exports = {
+  registerSerializer,
+  getSerializer,
+  typeReplacer,
+  typeReviver,
+};
@@ -1,14 +1,43 @@
 import * as chai from 'chai';
 const expect = chai.expect;
-import S3DB from './index.js';
+import S3DB, {
+  S3DBError,
+  NotFoundError,
+  AccessDeniedError,
+  ConflictError,
+  ValidationError,
+  ParseError,
+  ThrottledError,
+  TimeoutError,
+  EncryptionError,
+  LockError,
+  PatchError,
+  MemoryS3Client,
+  LocalKeyringProvider,
+  KmsKeyProvider,
+  LruCache,
+  registerSerializer,
+  typeReplacer,
+  typeReviver,
+} from './index.js';
+import logger from './logger.js';
 import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, DeleteObjectsCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
+import { Readable, Writable } from 'stream';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { run as runCli } from './cli.js';
 
 // Replace these constants with your test bucket and region
 const TEST_BUCKET = 's3dbunittestbucket';
 const REGION = 'us-east-1';
 
+// The suite runs against the in-memory backend by default, set
+// S3DB_TEST_BACKEND=s3 to run it against the real test bucket instead
+const USE_S3 = process.env.S3DB_TEST_BACKEND === 's3';
+
 // Initialize AWS S3 client
-const s3Client = new S3Client({ region: REGION });
+const s3Client = USE_S3 ? new S3Client({ region: REGION }) : new MemoryS3Client();
 
 // Helper function to clear the bucket
 async function clearBucket(bucket) {
@@ -36,8 +65,8 @@ async function clearBucket(bucket) {
 describe('S3DB Integration Tests', function() {
   this.timeout(10000);
 
-  const s3db = new S3DB(TEST_BUCKET, 'users');
-  const alternateS3db = new S3DB(TEST_BUCKET, 'alternate-users');
+  const s3db = new S3DB(TEST_BUCKET, 'users', { client: s3Client });
+  const alternateS3db = new S3DB(TEST_BUCKET, 'alternate-users', { client: s3Client });
 
   const userId = 'U12345';
   const userData = { name: 'John Doe', email: 'john.doe@example.com' };
@@ -97,6 +126,46 @@ describe('S3DB Integration Tests', function() {
     expect(retrievedData).to.deep.equal(expectedData);
   });
 
+  it('should return the ETag along with the data when requested', async function() {
+    const { data, etag } = await s3db.get(userId, { withETag: true });
+    expect(data).to.have.property('newProperty', 'test123');
+    expect(etag).to.be.a('string').that.is.not.empty;
+  });
+
+  it('should throw a ConflictError when putting with a stale ETag', async function() {
+    const { etag } = await s3db.get(userId, { withETag: true });
+    await s3db.update(userId, { touched: true });
+    try {
+      await s3db.put(userId, userData, { ifMatch: etag });
+      expect.fail('Expected a ConflictError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(ConflictError);
+      expect(err.key).to.equal('users/U12345.json');
+    }
+  });
+
+  it('should throw a ConflictError on a create-only put when the key exists', async function() {
+    try {
+      await s3db.put(userId, userData, { ifNoneMatch: '*' });
+      expect.fail('Expected a ConflictError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(ConflictError);
+    }
+    const createOnlyKey = 'createOnly/U1';
+    await s3db.put(createOnlyKey, userData, { ifNoneMatch: '*' });
+    expect(await s3db.get(createOnlyKey)).to.deep.equal(userData);
+    await s3db.delete(createOnlyKey);
+  });
+
+  it('should not lose concurrent updates when retries are enabled', async function() {
+    const counterKey = 'concurrent/U1';
+    await s3db.put(counterKey, {});
+    await Promise.all([1, 2, 3, 4].map(n => s3db.update(counterKey, { [`field${n}`]: n }, { retries: 10 })));
+    const retrievedData = await s3db.get(counterKey);
+    expect(retrievedData).to.deep.equal({ field1: 1, field2: 2, field3: 3, field4: 4 });
+    await s3db.delete(counterKey);
+  });
+
   it('should replace the object with a new object', async function() {
     const updatedUserData = { name: 'Jane Doe', email: 'jane.doe@example.com' };
     await s3db.put(userId, updatedUserData);
@@ -328,7 +397,7 @@ describe('S3DB Integration Tests', function() {
 
   it('should not return results from a similarly named but different path', async function() {
     // Define the exact prefix S3DB instance for this test
-    const exactPrefixS3db = new S3DB(TEST_BUCKET, 'testdata/doesnotexist/');
+    const exactPrefixS3db = new S3DB(TEST_BUCKET, 'testdata/doesnotexist/', { client: s3Client });
   
     // Create a test object in a similar but different path
     await s3Client.send(new PutObjectCommand({ Bucket: TEST_BUCKET, Key: 'testdata/doesnotexist_doesexist/12345', Body: JSON.stringify(userData) }));
@@ -344,7 +413,7 @@ describe('S3DB Integration Tests', function() {
   });
 
   it('should create an encrypted object with KMS key', async function() {
-    const encryptedS3db = new S3DB(TEST_BUCKET, 'encrypted-users', 'alias/s3db-unittest-key');
+    const encryptedS3db = new S3DB(TEST_BUCKET, 'encrypted-users', 'alias/s3db-unittest-key', { client: s3Client });
     await encryptedS3db.put(userId, userData);
     const retrievedData = await encryptedS3db.get(userId);
     expect(retrievedData).to.deep.equal(userData);
@@ -352,7 +421,7 @@ describe('S3DB Integration Tests', function() {
   });
 
   it('should create an encrypted raw object with KMS key', async function() {
-    const encryptedS3db = new S3DB(TEST_BUCKET, 'encrypted-users', 'alias/s3db-unittest-key');
+    const encryptedS3db = new S3DB(TEST_BUCKET, 'encrypted-users', 'alias/s3db-unittest-key', { client: s3Client });
     const rawKey = 'B12345';
     const rawData = Buffer.from('Hello, world!', 'utf-8');
     await encryptedS3db.putRaw(rawKey, rawData);
@@ -362,7 +431,7 @@ describe('S3DB Integration Tests', function() {
   });
 
   it('should create and read back an encrypted object with KMS key', async function() {
-    const encryptedS3db = new S3DB(TEST_BUCKET, 'encrypted-users', 'alias/s3db-unittest-key');
+    const encryptedS3db = new S3DB(TEST_BUCKET, 'encrypted-users', 'alias/s3db-unittest-key', { client: s3Client });
     const testUserId = 'encrypted-user-123';
     const testUserData = { name: 'Alice Encrypted', email: 'alice.encrypted@example.com' };
     
@@ -370,7 +439,7 @@ describe('S3DB Integration Tests', function() {
     await encryptedS3db.put(testUserId, testUserData);
     
     // Create a new S3DB instance with the same KMS key to verify reading works with a fresh instance
-    const readEncryptedS3db = new S3DB(TEST_BUCKET, 'encrypted-users', 'alias/s3db-unittest-key');
+    const readEncryptedS3db = new S3DB(TEST_BUCKET, 'encrypted-users', 'alias/s3db-unittest-key', { client: s3Client });
     const retrievedData = await readEncryptedS3db.get(testUserId);
     
     expect(retrievedData).to.deep.equal(testUserData);
@@ -378,7 +447,7 @@ describe('S3DB Integration Tests', function() {
   });
 
   it('should create and read back an encrypted raw object with KMS key', async function() {
-    const encryptedS3db = new S3DB(TEST_BUCKET, 'encrypted-users', 'alias/s3db-unittest-key');
+    const encryptedS3db = new S3DB(TEST_BUCKET, 'encrypted-users', 'alias/s3db-unittest-key', { client: s3Client });
     const rawKey = 'encrypted-raw-123';
     const rawData = Buffer.from('Secret encrypted data!', 'utf-8');
     
@@ -386,7 +455,7 @@ describe('S3DB Integration Tests', function() {
     await encryptedS3db.putRaw(rawKey, rawData);
     
     // Create a new S3DB instance with the same KMS key to verify reading works with a fresh instance
-    const readEncryptedS3db = new S3DB(TEST_BUCKET, 'encrypted-users', 'alias/s3db-unittest-key');
+    const readEncryptedS3db = new S3DB(TEST_BUCKET, 'encrypted-users', 'alias/s3db-unittest-key', { client: s3Client });
     const retrievedData = await readEncryptedS3db.getRaw(rawKey);
     
     expect(retrievedData.toString('utf-8')).to.equal('Secret encrypted data!');
@@ -394,3 +463,2465 @@ describe('S3DB Integration Tests', function() {
   });
 
 });
+
+describe('S3DB Client Configuration', function() {
+  it('should accept an options object in place of the KMS key ID', function() {
+    const client = new MemoryS3Client();
+    const s3db = new S3DB(TEST_BUCKET, 'users', { client, kmsKeyId: 'alias/s3db-unittest-key' });
+    expect(s3db.s3Client).to.equal(client);
+    expect(s3db.kmsKeyId).to.equal('alias/s3db-unittest-key');
+  });
+
+  it('should create an S3Client from clientConfig', async function() {
+    const s3db = new S3DB(TEST_BUCKET, 'users', {
+      clientConfig: { region: 'eu-west-1', endpoint: 'http://localhost:9000', forcePathStyle: true },
+    });
+    expect(s3db.s3Client).to.be.instanceOf(S3Client);
+    expect(await s3db.s3Client.config.region()).to.equal('eu-west-1');
+    expect(s3db.s3Client.config.forcePathStyle).to.be.true;
+  });
+
+  it('should reject invalid client options', function() {
+    expect(() => new S3DB(TEST_BUCKET, 'users', { client: new MemoryS3Client(), clientConfig: {} })).to.throw(/either client or clientConfig/);
+    expect(() => new S3DB(TEST_BUCKET, 'users', { client: {} })).to.throw(/Invalid client/);
+  });
+
+  // The in-memory backend reads command inputs directly, so this checks
+  // that the SDK really sends the conditions the library relies on
+  it('should send If-Match on puts, multipart uploads and deletes', async function() {
+    const requests = [];
+    const responses = {
+      uploads: '<InitiateMultipartUploadResult><UploadId>U1</UploadId></InitiateMultipartUploadResult>',
+      uploadId: '<CompleteMultipartUploadResult><ETag>"e2"</ETag></CompleteMultipartUploadResult>',
+    };
+    const client = new S3Client({
+      region: 'us-east-1',
+      credentials: { accessKeyId: 'test', secretAccessKey: 'test' },
+      forcePathStyle: true,
+      requestHandler: {
+        handle: async request => {
+          requests.push(request);
+          const query = Object.keys(request.query || {}).find(name => responses[name]);
+          return {
+            response: {
+              statusCode: request.method === 'DELETE' ? 204 : 200,
+              headers: { etag: '"e1"' },
+              body: Buffer.from(query && request.method === 'POST' ? responses[query] : ''),
+            },
+          };
+        },
+      },
+    });
+    const s3db = new S3DB(TEST_BUCKET, 'headers', { client, retry: { maxAttempts: 1 } });
+    const ifMatch = request => request.headers['if-match'];
+
+    await s3db.put('U1', { name: 'John Doe' }, { ifMatch: '"e0"' });
+    expect(requests.map(request => request.method)).to.deep.equal(['PUT']);
+    expect(ifMatch(requests[0])).to.equal('"e0"');
+
+    requests.length = 0;
+    await s3db.putStream('large.bin', Readable.from([Buffer.alloc(6 * 1024 * 1024)]), { ifMatch: '"e1"' });
+    const complete = requests.find(request => request.method === 'POST' && 'uploadId' in request.query);
+    expect(complete, 'CompleteMultipartUpload request').to.exist;
+    expect(ifMatch(complete)).to.equal('"e1"');
+
+    requests.length = 0;
+    await s3db.delete('U1', { ifMatch: '"e2"' });
+    const del = requests.find(request => request.method === 'DELETE');
+    expect(ifMatch(del)).to.equal('"e2"');
+  });
+});
+
+describe('MemoryS3Client', function() {
+  const client = new MemoryS3Client();
+  const s3db = new S3DB(TEST_BUCKET, 'memory', { client });
+
+  it('should paginate listings with continuation tokens', async function() {
+    for (let i = 0; i < 5; i++) {
+      await s3db.put(`page/U${i}`, { i });
+    }
+    const first = await client.send(new ListObjectsV2Command({ Bucket: TEST_BUCKET, Prefix: 'memory/page/', MaxKeys: 3 }));
+    expect(first.Contents.map(obj => obj.Key)).to.deep.equal(['memory/page/U0.json', 'memory/page/U1.json', 'memory/page/U2.json']);
+    expect(first.IsTruncated).to.be.true;
+    const second = await client.send(new ListObjectsV2Command({ Bucket: TEST_BUCKET, Prefix: 'memory/page/', MaxKeys: 3, ContinuationToken: first.NextContinuationToken }));
+    expect(second.Contents.map(obj => obj.Key)).to.deep.equal(['memory/page/U3.json', 'memory/page/U4.json']);
+    expect(second.IsTruncated).to.be.false;
+    expect(await s3db.list('page')).to.deep.equal(['U0', 'U1', 'U2', 'U3', 'U4']);
+  });
+
+  it('should roll up keys below a delimiter into common prefixes', async function() {
+    await s3db.put('tree/a', {});
+    await s3db.put('tree/sub/b', {});
+    await s3db.put('tree/sub/c', {});
+    const response = await client.send(new ListObjectsV2Command({ Bucket: TEST_BUCKET, Prefix: 'memory/tree/', Delimiter: '/' }));
+    expect(response.Contents.map(obj => obj.Key)).to.deep.equal(['memory/tree/a.json']);
+    expect(response.CommonPrefixes).to.deep.equal([{ Prefix: 'memory/tree/sub/' }]);
+  });
+
+  it('should store large raw objects uploaded in multiple parts', async function() {
+    const rawData = Buffer.alloc(6 * 1024 * 1024, 'x');
+    const { etag } = await s3db.putRaw('large.bin', rawData);
+    expect(etag).to.match(/-2"$/);
+    const retrievedData = await s3db.getRaw('large.bin');
+    expect(retrievedData.equals(rawData)).to.be.true;
+  });
+});
+
+describe('S3DB Collections', function() {
+  const s3db = new S3DB(TEST_BUCKET, 'collections', { client: s3Client });
+  const users = s3db.collection('users', {
+    schema: {
+      type: 'object',
+      required: ['name', 'email'],
+      properties: {
+        name: { type: 'string' },
+        email: { type: 'string', format: 'email' },
+        address: {
+          type: 'object',
+          properties: { zip: { type: 'string', pattern: '^[0-9]{5}$' } },
+        },
+      },
+    },
+  });
+
+  it('should store records under the collection prefix', async function() {
+    await users.put('U1', { name: 'John Doe', email: 'john.doe@example.com' });
+    expect(await s3db.get('users/U1')).to.deep.equal({ name: 'John Doe', email: 'john.doe@example.com' });
+    expect(await users.list()).to.deep.equal(['U1']);
+  });
+
+  it('should reject a put that violates the schema and list each violating path', async function() {
+    try {
+      await users.put('U2', { email: 'not-an-email', address: { zip: 'abc' } });
+      expect.fail('Expected a ValidationError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(ValidationError);
+      expect(err.key).to.equal('collections/users/U2.json');
+      expect(err.errors.map(e => e.path)).to.have.members(['/name', '/email', '/address/zip']);
+    }
+    expect(await users.exists('U2')).to.be.false;
+  });
+
+  it('should validate the merged result of an update', async function() {
+    try {
+      await users.update('U1', { email: 12345 });
+      expect.fail('Expected a ValidationError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(ValidationError);
+      expect(err.errors).to.deep.equal([{ path: '/email', message: 'must be string', keyword: 'type' }]);
+    }
+    await users.update('U1', { address: { zip: '12345' } });
+    expect(await users.get('U1')).to.have.nested.property('address.zip', '12345');
+  });
+
+  it('should optionally validate on read', async function() {
+    await s3db.put('users/U3', { name: 'Written Around The Schema' });
+    const auditedUsers = s3db.collection('users', { schema: users.schema, validateOnRead: true });
+    expect(await users.get('U3')).to.deep.equal({ name: 'Written Around The Schema' });
+    try {
+      await auditedUsers.get('U3');
+      expect.fail('Expected a ValidationError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(ValidationError);
+      expect(err.errors.map(e => e.path)).to.deep.equal(['/email']);
+    }
+  });
+});
+
+describe('S3DB Secondary Indexes', function() {
+  const s3db = new S3DB(TEST_BUCKET, 'indexed', { client: s3Client });
+  const users = s3db.collection('users', { indexes: ['email', 'status', 'address.city'] });
+
+  it('should find records by an indexed field', async function() {
+    await users.put('U1', { email: 'john@example.com', status: 'active', address: { city: 'Boston' } });
+    await users.put('U2', { email: 'jane@example.com', status: 'active', address: { city: 'Denver' } });
+    await users.put('U3', { email: 'jake@example.com', status: 'banned' });
+
+    const active = await users.findBy('status', 'active');
+    expect(active.map(match => match.key)).to.have.members(['U1', 'U2']);
+    const [john] = await users.findBy('email', 'john@example.com');
+    expect(john).to.deep.equal({ key: 'U1', data: { email: 'john@example.com', status: 'active', address: { city: 'Boston' } } });
+    expect(await users.findBy('address.city', 'Denver')).to.have.lengthOf(1);
+  });
+
+  it('should keep indexes up to date on update, move and delete', async function() {
+    await users.update('U2', { status: 'banned' });
+    expect((await users.findBy('status', 'banned')).map(match => match.key)).to.have.members(['U2', 'U3']);
+    expect((await users.findBy('status', 'active')).map(match => match.key)).to.deep.equal(['U1']);
+
+    await users.move('U1', 'archive/U1');
+    expect((await users.findBy('email', 'john@example.com')).map(match => match.key)).to.deep.equal(['archive/U1']);
+
+    await users.delete('U3');
+    expect((await users.findBy('status', 'banned')).map(match => match.key)).to.deep.equal(['U2']);
+    expect(await users.indexDb.list()).to.have.lengthOf(6);
+  });
+
+  it('should throw when searching a field that is not indexed', async function() {
+    try {
+      await users.findBy('name', 'John');
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err.message).to.match(/not indexed/);
+    }
+  });
+
+  it('should repair drift after out-of-band writes when rebuilding indexes', async function() {
+    await s3db.put('users/U4', { email: 'oob@example.com', status: 'active' });
+    await s3db.delete('users/U2');
+    expect(await users.findBy('email', 'oob@example.com')).to.be.empty;
+
+    const result = await users.rebuildIndexes();
+    expect(result).to.deep.equal({ records: 2, added: 2, removed: 3 });
+    expect((await users.findBy('email', 'oob@example.com')).map(match => match.key)).to.deep.equal(['U4']);
+    expect((await users.findBy('status', 'active')).map(match => match.key)).to.have.members(['archive/U1', 'U4']);
+    expect(await users.findBy('status', 'banned')).to.be.empty;
+  });
+
+  it('should keep indexes right when another process wrote past the cache', async function() {
+    const a = new S3DB(TEST_BUCKET, 'indexed-cached', { client: s3Client, cache: true }).collection('users', { indexes: ['status'] });
+    const b = new S3DB(TEST_BUCKET, 'indexed-cached', { client: s3Client, cache: true }).collection('users', { indexes: ['status'] });
+    await a.deletePrefix();
+    await a.indexDb.deletePrefix();
+
+    await a.put('U1', { status: 'active' });
+    expect(await a.get('U1')).to.deep.equal({ status: 'active' });
+    await b.put('U1', { status: 'banned' });
+    await a.put('U1', { status: 'active' });
+    expect((await a.findBy('status', 'active')).map(match => match.key)).to.deep.equal(['U1']);
+    expect(await a.findBy('status', 'banned')).to.be.empty;
+  });
+
+  it('should remove the pointers of records deleted by prefix or swept', async function() {
+    const sessions = new S3DB(TEST_BUCKET, 'indexed-bulk', { client: s3Client }).collection('sessions', { indexes: ['user'] });
+    await sessions.deletePrefix();
+    await sessions.indexDb.deletePrefix();
+    await sessions.put('web/S1', { user: 'U1' });
+    await sessions.put('web/S2', { user: 'U1' }, { expiresAt: new Date(Date.now() - 1000) });
+    await sessions.put('mobile/S3', { user: 'U1' });
+    await sessions.put('S4', { user: 'U1' }, { expiresAt: new Date(Date.now() - 1000) });
+
+    expect(await sessions.sweepExpired('web')).to.equal(1);
+    expect(await sessions.indexDb.list()).to.have.members(['user/%22U1%22/web%2FS1', 'user/%22U1%22/mobile%2FS3', 'user/%22U1%22/S4']);
+    expect(await sessions.deletePrefix('web')).to.equal(1);
+    expect(await sessions.indexDb.list()).to.have.members(['user/%22U1%22/mobile%2FS3', 'user/%22U1%22/S4']);
+    expect(await sessions.deletePrefix()).to.equal(2);
+    expect(await sessions.indexDb.list()).to.be.empty;
+  });
+
+  it('should leave bookkeeping out of the parent and reject reserved keys', async function() {
+    const parent = new S3DB(TEST_BUCKET, 'reserved', { client: s3Client, changeLog: true });
+    // deletePrefix() leaves the bookkeeping alone unless asked for it
+    for (const subPath of ['', '_indexes', '_locks', '_sequences', '_changes']) {
+      await parent.deletePrefix(subPath);
+    }
+    await parent.collection('users', { indexes: ['email'] }).put('U1', { email: 'john@example.com' });
+    await parent.sequence('orders').next();
+    const lease = await parent.acquireLock('job');
+
+    expect(await parent.list()).to.deep.equal(['users/U1']);
+    expect(await parent.listChildren()).to.deep.equal({ items: [], folders: ['users'], cursor: null });
+    expect((await parent.query()).items.map(item => item.key)).to.deep.equal(['users/U1']);
+    expect((await parent.countPrefix()).count).to.equal(1);
+    expect(await parent.list('_sequences')).to.deep.equal(['orders']);
+
+    for (const write of [
+      () => parent.put('_sequences/orders', { value: 0 }),
+      () => parent.deleteRaw('_locks/job.json'),
+      () => parent.copy('users/U1', '_changes/fake'),
+      () => parent.deleteMany(['_locks/job']),
+      () => parent.transaction(tx => tx.put('_indexes/users/x', {})),
+    ]) {
+      try {
+        await write();
+        expect.fail('Expected an exception, but none was thrown');
+      } catch (err) {
+        expect(err.message).to.match(/reserved for S3DB's own bookkeeping/);
+      }
+    }
+    expect(() => parent.collection('_locks')).to.throw(/Invalid collection name/);
+
+    expect(await parent.deletePrefix()).to.equal(1);
+    expect((await parent.changes()).changes.map(({ operation, key, keys }) => [operation, key || keys])).to.deep.equal([
+      ['put', 'reserved/users/U1.json'],
+      ['deletePrefix', ['reserved/users/U1.json']],
+    ]);
+    await lease.release();
+  });
+});
+
+describe('S3DB Query', function() {
+  const s3db = new S3DB(TEST_BUCKET, 'query', { client: s3Client });
+
+  before(async function() {
+    for (let i = 1; i <= 12; i++) {
+      await s3db.put(`orders/O${String(i).padStart(2, '0')}`, {
+        total: i * 10,
+        status: i % 3 === 0 ? 'cancelled' : 'paid',
+        customer: { name: `Customer ${i}`, tier: i <= 4 ? 'gold' : 'silver' },
+        tags: i % 2 === 0 ? ['even'] : ['odd'],
+      });
+    }
+    await s3db.putRaw('orders/readme.txt', Buffer.from('not a record'));
+  });
+
+  it('should filter with a Mongo-style filter object and project fields', async function() {
+    const { items, cursor } = await s3db.query('orders', {
+      where: { status: 'paid', total: { $gte: 50, $lt: 100 }, tags: 'odd' },
+      select: ['total', 'customer.name'],
+    });
+    expect(items).to.deep.equal([
+      { key: 'orders/O05', data: { total: 50, customer: { name: 'Customer 5' } } },
+      { key: 'orders/O07', data: { total: 70, customer: { name: 'Customer 7' } } },
+    ]);
+    expect(cursor).to.be.null;
+  });
+
+  it('should support logical operators and predicate functions', async function() {
+    const { items } = await s3db.query('orders', {
+      where: { $or: [{ 'customer.tier': 'gold' }, { total: { $gt: 110 } }], status: { $ne: 'cancelled' } },
+    });
+    expect(items.map(item => item.key)).to.deep.equal(['orders/O01', 'orders/O02', 'orders/O04']);
+
+    const { items: predicateItems } = await s3db.query('orders', { where: (data, key) => key.endsWith('1') });
+    expect(predicateItems.map(item => item.key)).to.deep.equal(['orders/O01', 'orders/O11']);
+  });
+
+  it('should paginate with a cursor', async function() {
+    const keys = [];
+    let cursor;
+    let pages = 0;
+    do {
+      const page = await s3db.query('orders', { where: { status: 'paid' }, limit: 3, cursor, concurrency: 2 });
+      keys.push(...page.items.map(item => item.key));
+      cursor = page.cursor;
+      pages++;
+    } while (cursor);
+    expect(pages).to.equal(3);
+    expect(keys).to.deep.equal(['orders/O01', 'orders/O02', 'orders/O04', 'orders/O05', 'orders/O07', 'orders/O08', 'orders/O10', 'orders/O11']);
+  });
+});
+
+describe('S3DB Paginated Listing', function() {
+  const s3db = new S3DB(TEST_BUCKET, 'paged', { client: s3Client });
+
+  before(async function() {
+    for (let i = 1; i <= 5; i++) {
+      await s3db.put(`items/I${i}`, { i });
+    }
+  });
+
+  it('should yield keys from an async iterator', async function() {
+    const keys = [];
+    for await (const key of s3db.listIterator('items', { maxKeys: 2 })) {
+      keys.push(key);
+    }
+    expect(keys).to.deep.equal(['I1', 'I2', 'I3', 'I4', 'I5']);
+
+    const scanned = [];
+    for await (const key of s3db.scan('items')) {
+      scanned.push(key);
+    }
+    expect(scanned).to.deep.equal(keys);
+  });
+
+  it('should list a page at a time with a cursor', async function() {
+    const first = await s3db.listPage('items', { maxKeys: 3 });
+    expect(first.keys).to.deep.equal(['I1', 'I2', 'I3']);
+    expect(first.cursor).to.be.a('string');
+    const second = await s3db.listPage('items', { maxKeys: 3, cursor: first.cursor });
+    expect(second.keys).to.deep.equal(['I4', 'I5']);
+    expect(second.cursor).to.be.null;
+  });
+
+  it('should start listing after a given key', async function() {
+    const page = await s3db.listPage('items', { startAfter: 'I2' });
+    expect(page.keys).to.deep.equal(['I3', 'I4', 'I5']);
+  });
+
+  it('should include size, lastModified and ETag when requested', async function() {
+    const { keys: entries } = await s3db.listPage('items', { maxKeys: 1, withMetadata: true });
+    const { etag } = await s3db.get('items/I1', { withETag: true });
+    expect(entries).to.have.lengthOf(1);
+    expect(entries[0].key).to.equal('I1');
+    expect(entries[0].size).to.equal(JSON.stringify({ i: 1 }).length);
+    expect(entries[0].lastModified).to.be.instanceOf(Date);
+    expect(entries[0].etag).to.equal(etag);
+  });
+});
+
+describe('S3DB Hierarchical Listing', function() {
+  const s3db = new S3DB(TEST_BUCKET, 'tree', { client: s3Client });
+
+  before(async function() {
+    await s3db.put('root/a', { a: 1 });
+    await s3db.put('root/b', { b: 1 });
+    await s3db.put('root/sub1/c', { c: 1 });
+    await s3db.put('root/sub1/deeper/d', { d: 1 });
+    await s3db.put('root/sub2/e', { e: 1 });
+    await s3db.put('rootsibling/f', { f: 1 });
+  });
+
+  it('should list immediate items and folders separately', async function() {
+    const children = await s3db.listChildren('root');
+    expect(children).to.deep.equal({ items: ['a', 'b'], folders: ['sub1', 'sub2'], cursor: null });
+    expect(await s3db.listChildren('root/sub1')).to.deep.equal({ items: ['c'], folders: ['deeper'], cursor: null });
+  });
+
+  it('should page through children', async function() {
+    const first = await s3db.listChildren('root', { maxKeys: 3 });
+    expect(first.items).to.deep.equal(['a', 'b']);
+    expect(first.folders).to.deep.equal(['sub1']);
+    const second = await s3db.listChildren('root', { maxKeys: 3, cursor: first.cursor });
+    expect(second).to.deep.equal({ items: [], folders: ['sub2'], cursor: null });
+  });
+
+  it('should count and delete a whole subtree', async function() {
+    const { count, size } = await s3db.countPrefix('root/sub1');
+    expect(count).to.equal(2);
+    expect(size).to.equal(JSON.stringify({ c: 1 }).length + JSON.stringify({ d: 1 }).length);
+
+    expect(await s3db.deletePrefix('root/sub1')).to.equal(2);
+    expect((await s3db.countPrefix('root')).count).to.equal(3);
+    expect(await s3db.list('root')).to.deep.equal(['a', 'b', 'sub2/e']);
+    expect(await s3db.exists('rootsibling/f')).to.be.true;
+  });
+});
+
+describe('S3DB Batch Operations', function() {
+  const s3db = new S3DB(TEST_BUCKET, 'batch', { client: s3Client, concurrency: 4 });
+
+  it('should put many objects and report a result per key', async function() {
+    const entries = [];
+    for (let i = 0; i < 25; i++) {
+      entries.push({ key: `B${i}`, data: { i } });
+    }
+    entries.push({ key: 'B0', data: { i: 'again' }, options: { ifNoneMatch: '*' } });
+
+    const results = await s3db.putMany(entries);
+    expect(results).to.have.lengthOf(26);
+    expect(results.slice(0, 25).every(result => result.ok && result.etag)).to.be.true;
+    expect(results[25].key).to.equal('B0');
+    expect(results[25].ok).to.be.false;
+    expect(results[25].error).to.be.instanceOf(ConflictError);
+  });
+
+  it('should get many objects and report missing ones without failing the batch', async function() {
+    const results = await s3db.getMany(['B1', 'missing', 'B2'], { concurrency: 2 });
+    expect(results[0]).to.deep.equal({ key: 'B1', ok: true, data: { i: 1 } });
+    expect(results[1].ok).to.be.false;
+    expect(results[1].error).to.exist;
+    expect(results[2]).to.deep.equal({ key: 'B2', ok: true, data: { i: 2 } });
+
+    const lenient = await s3db.getMany(['missing'], { returnNullIfNotFound: true });
+    expect(lenient).to.deep.equal([{ key: 'missing', ok: true, data: null }]);
+  });
+
+  it('should delete many objects in chunks', async function() {
+    const keys = [];
+    for (let i = 0; i < 1500; i++) {
+      keys.push(`chunked/K${i}`);
+    }
+    await s3db.putMany(keys.map(key => ({ key, data: {} })), { concurrency: 50 });
+
+    const sends = [];
+    const originalSend = s3Client.send.bind(s3Client);
+    const recordingDb = new S3DB(TEST_BUCKET, 'batch', {
+      client: { send: command => { sends.push(command.constructor.name); return originalSend(command); } },
+    });
+    const results = await recordingDb.deleteMany([...keys, 'B0']);
+    expect(results).to.have.lengthOf(1501);
+    expect(results.every(result => result.ok)).to.be.true;
+    expect(sends).to.deep.equal(['DeleteObjectsCommand', 'DeleteObjectsCommand']);
+    expect(await s3db.list('chunked')).to.be.empty;
+    expect(await s3db.exists('B0')).to.be.false;
+  });
+
+  it('should keep collection indexes in sync when deleting many', async function() {
+    const users = s3db.collection('users', { indexes: ['status'] });
+    await users.putMany([{ key: 'U1', data: { status: 'active' } }, { key: 'U2', data: { status: 'active' } }]);
+    await users.deleteMany(['U1']);
+    expect((await users.findBy('status', 'active')).map(match => match.key)).to.deep.equal(['U2']);
+    expect(await users.indexDb.list()).to.have.lengthOf(1);
+  });
+});
+
+describe('S3DB Errors', function() {
+  const s3db = new S3DB(TEST_BUCKET, 'errors', { client: s3Client });
+
+  // a client that fails every command with an error shaped like the SDK's
+  function failingS3db(name, httpStatusCode) {
+    const client = {
+      send: async () => {
+        throw Object.assign(new Error(`${name} from S3`), { name, $metadata: { httpStatusCode } });
+      },
+    };
+    return new S3DB(TEST_BUCKET, 'errors', { client });
+  }
+
+  it('should throw a NotFoundError carrying bucket, key and cause for a missing object', async function() {
+    try {
+      await s3db.get('missing');
+      expect.fail('Expected a NotFoundError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(NotFoundError);
+      expect(err).to.be.instanceOf(S3DBError);
+      expect(err.bucket).to.equal(TEST_BUCKET);
+      expect(err.key).to.equal('errors/missing.json');
+      expect(err.code).to.equal('NoSuchKey');
+      expect(err.cause).to.exist;
+    }
+  });
+
+  it('should not treat a missing bucket as a missing object', async function() {
+    const missingBucket = failingS3db('NoSuchBucket', 404);
+    for (const operation of [() => missingBucket.get('U1', { returnNullIfNotFound: true }), () => missingBucket.getRaw('U1.json', { returnNullIfNotFound: true })]) {
+      try {
+        await operation();
+        expect.fail('Expected an S3DBError, but none was thrown');
+      } catch (err) {
+        expect(err).to.be.instanceOf(S3DBError);
+        expect(err).not.to.be.instanceOf(NotFoundError);
+        expect(err.code).to.equal('NoSuchBucket');
+        expect(err.message).to.equal(`Bucket not found: s3://${TEST_BUCKET}`);
+      }
+    }
+  });
+
+  it('should throw a NotFoundError when copying a missing source', async function() {
+    try {
+      await s3db.copy('missing', 'copied');
+      expect.fail('Expected a NotFoundError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(NotFoundError);
+      expect(err.key).to.equal('errors/missing.json');
+    }
+  });
+
+  it('should throw a ParseError for an object that is not valid JSON', async function() {
+    await s3db.putRaw('broken.json', Buffer.from('{ not json'));
+    try {
+      await s3db.get('broken');
+      expect.fail('Expected a ParseError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(ParseError);
+      expect(err.key).to.equal('errors/broken.json');
+      expect(err.cause).to.be.instanceOf(SyntaxError);
+    }
+  });
+
+  it('should map access denied and throttling errors from every method', async function() {
+    const denied = failingS3db('AccessDenied', 403);
+    for (const operation of [() => denied.get('U1'), () => denied.exists('U1'), () => denied.delete('U1'), () => denied.list()]) {
+      try {
+        await operation();
+        expect.fail('Expected an AccessDeniedError, but none was thrown');
+      } catch (err) {
+        expect(err).to.be.instanceOf(AccessDeniedError);
+        expect(err.cause.name).to.equal('AccessDenied');
+      }
+    }
+
+    try {
+      await failingS3db('SlowDown', 503).list('sub');
+      expect.fail('Expected a ThrottledError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(ThrottledError);
+      expect(err.key).to.equal('errors/sub/');
+      expect(err.message).to.match(/^Failed to list objects in bucket/);
+    }
+  });
+});
+
+describe('S3DB Retries and Timeouts', function() {
+  // wraps s3Client so the first `failures` commands fail with the given error
+  function flakyClient(failures, name = 'SlowDown', httpStatusCode = 503) {
+    const client = {
+      calls: 0,
+      send: async (command, options) => {
+        client.calls++;
+        if (client.calls <= failures) {
+          throw Object.assign(new Error(`${name} from S3`), { name, $metadata: { httpStatusCode } });
+        }
+        return s3Client.send(command, options);
+      },
+      config: s3Client.config,
+    };
+    return client;
+  }
+
+  before(async function() {
+    await new S3DB(TEST_BUCKET, 'retry', { client: s3Client }).put('U1', userDataForRetries);
+  });
+
+  const userDataForRetries = { name: 'Retry Doe' };
+
+  it('should retry throttled requests with backoff and log each retry', async function() {
+    const warnings = [];
+    const originalWarn = logger.warn;
+    logger.warn = message => warnings.push(message);
+    try {
+      const client = flakyClient(2);
+      const s3db = new S3DB(TEST_BUCKET, 'retry', { client, retry: { maxAttempts: 3, baseDelayMs: 1 } });
+      expect(await s3db.get('U1')).to.deep.equal(userDataForRetries);
+      expect(client.calls).to.equal(3);
+      expect(warnings).to.have.lengthOf(2);
+      expect(warnings[0]).to.match(/retry\/U1\.json failed with SlowDown, retrying in \d+ms \(attempt 1 of 3\)/);
+    } finally {
+      logger.warn = originalWarn;
+    }
+  });
+
+  it('should give up after maxAttempts and not retry by default', async function() {
+    const client = flakyClient(5);
+    const s3db = new S3DB(TEST_BUCKET, 'retry', { client, retry: { maxAttempts: 2, baseDelayMs: 1 } });
+    try {
+      await s3db.get('U1');
+      expect.fail('Expected a ThrottledError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(ThrottledError);
+      expect(client.calls).to.equal(2);
+    }
+
+    const defaultClient = flakyClient(1);
+    try {
+      await new S3DB(TEST_BUCKET, 'retry', { client: defaultClient }).get('U1');
+      expect.fail('Expected a ThrottledError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(ThrottledError);
+      expect(defaultClient.calls).to.equal(1);
+    }
+  });
+
+  it('should only retry the configured error classes and honour per-call policies', async function() {
+    const deniedClient = flakyClient(1, 'AccessDenied', 403);
+    const s3db = new S3DB(TEST_BUCKET, 'retry', { client: deniedClient, retry: { maxAttempts: 3, baseDelayMs: 1 } });
+    try {
+      await s3db.get('U1');
+      expect.fail('Expected an AccessDeniedError, but none was thrown');
+    } catch (err) {
+      expect(deniedClient.calls).to.equal(1);
+    }
+    expect(await s3db.get('U1', { retry: { retryOn: [AccessDeniedError] } })).to.deep.equal(userDataForRetries);
+
+    const client = flakyClient(1);
+    try {
+      await new S3DB(TEST_BUCKET, 'retry', { client, retry: { maxAttempts: 3 } }).exists('U1', { retry: false });
+      expect.fail('Expected a ThrottledError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(ThrottledError);
+      expect(client.calls).to.equal(1);
+    }
+  });
+
+  it('should retry uploads', async function() {
+    const client = flakyClient(1);
+    const s3db = new S3DB(TEST_BUCKET, 'retry', { client, retry: { maxAttempts: 2, baseDelayMs: 1 } });
+    await s3db.put('U2', { name: 'Uploaded' });
+    expect(await s3db.get('U2')).to.deep.equal({ name: 'Uploaded' });
+  });
+
+  it('should time out slow requests', async function() {
+    const slowClient = {
+      send: (command, { abortSignal }) => new Promise((resolve, reject) => {
+        abortSignal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+      }),
+    };
+    const s3db = new S3DB(TEST_BUCKET, 'retry', { client: slowClient });
+    try {
+      await s3db.get('U1', { timeoutMs: 20 });
+      expect.fail('Expected a TimeoutError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(TimeoutError);
+      expect(err.key).to.equal('retry/U1.json');
+    }
+  });
+
+  it('should stop when the caller aborts', async function() {
+    const controller = new AbortController();
+    controller.abort();
+    const s3db = new S3DB(TEST_BUCKET, 'retry', { client: s3Client });
+    try {
+      await s3db.list('', { signal: controller.signal });
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(S3DBError);
+      expect(err.code).to.equal('AbortError');
+    }
+  });
+});
+
+describe('S3DB Client-Side Encryption', function() {
+  const key1 = LocalKeyringProvider.generateKey();
+  const key2 = LocalKeyringProvider.generateKey();
+  const keyring = new LocalKeyringProvider({ keys: { k1: key1 } });
+  const userData = { name: 'Jane Doe', ssn: '123-45-6789' };
+
+  // reads the stored object without decrypting it
+  async function readStored(s3Key) {
+    const response = await s3Client.send(new GetObjectCommand({ Bucket: TEST_BUCKET, Key: s3Key }));
+    return { body: Buffer.from(await response.Body.transformToByteArray()), metadata: response.Metadata };
+  }
+
+  before(async function() {
+    await new S3DB(TEST_BUCKET, 'encrypted', { client: s3Client }).deletePrefix();
+  });
+
+  it('should only keep decrypted records in the in-memory cache', async function() {
+    const store = new Map();
+    const adapter = {
+      get: key => store.get(key),
+      set: (key, entry) => { store.set(key, entry); },
+      delete: key => { store.delete(key); },
+    };
+    const external = new S3DB(TEST_BUCKET, 'encrypted', { client: s3Client, keyProvider: keyring, cache: { adapter } });
+    await external.put('cached', userData);
+    expect(await external.get('cached')).to.deep.equal(userData);
+    expect(await external.get('cached')).to.deep.equal(userData);
+    expect(store.size).to.equal(0);
+    expect(external.cacheStats.hits).to.equal(0);
+
+    const local = new S3DB(TEST_BUCKET, 'encrypted', { client: s3Client, keyProvider: keyring, cache: true });
+    await local.get('cached');
+    expect(await local.get('cached')).to.deep.equal(userData);
+    expect(local.cacheStats.hits).to.equal(1);
+    await local.delete('cached');
+  });
+
+  it('should encrypt on put and decrypt on get', async function() {
+    const s3db = new S3DB(TEST_BUCKET, 'encrypted', { client: s3Client, keyProvider: keyring });
+    await s3db.put('U1', userData);
+
+    const stored = await readStored('encrypted/U1.json');
+    expect(stored.body.toString()).to.not.include('Jane');
+    expect(stored.metadata['s3db-encryption']).to.equal('AES-256-GCM');
+    expect(stored.metadata['s3db-key-id']).to.equal('k1');
+
+    expect(await s3db.get('U1')).to.deep.equal(userData);
+    const { data, etag } = await s3db.get('U1', { withETag: true });
+    expect(data).to.deep.equal(userData);
+    await s3db.update('U1', { name: 'Jane Smith' }, { ifMatch: etag });
+    expect(await s3db.get('U1')).to.deep.equal({ ...userData, name: 'Jane Smith' });
+  });
+
+  it('should encrypt raw objects and leave opted-out ones in plaintext', async function() {
+    const s3db = new S3DB(TEST_BUCKET, 'encrypted', { client: s3Client, keyProvider: keyring });
+    await s3db.putRaw('notes.txt', 'top secret');
+    await s3db.putRaw('public.txt', 'hello', { encrypt: false });
+
+    expect((await readStored('encrypted/notes.txt')).body.toString()).to.not.equal('top secret');
+    expect((await readStored('encrypted/public.txt')).body.toString()).to.equal('hello');
+    expect(await s3db.getString('notes.txt')).to.equal('top secret');
+    expect(await s3db.getString('public.txt')).to.equal('hello');
+  });
+
+  it('should refuse to read encrypted objects without the key', async function() {
+    const plain = new S3DB(TEST_BUCKET, 'encrypted', { client: s3Client });
+    const otherKeyring = new S3DB(TEST_BUCKET, 'encrypted', {
+      client: s3Client,
+      keyProvider: new LocalKeyringProvider({ keys: { k2: key2 } }),
+    });
+
+    for (const s3db of [plain, otherKeyring]) {
+      try {
+        await s3db.getString('notes.txt');
+        expect.fail('Expected an EncryptionError, but none was thrown');
+      } catch (err) {
+        expect(err).to.be.instanceOf(EncryptionError);
+        expect(err.key).to.equal('encrypted/notes.txt');
+      }
+    }
+  });
+
+  it('should detect tampered ciphertext', async function() {
+    const stored = await readStored('encrypted/notes.txt');
+    stored.body[0] ^= 1;
+    await s3Client.send(new PutObjectCommand({
+      Bucket: TEST_BUCKET,
+      Key: 'encrypted/tampered.txt',
+      Body: stored.body,
+      Metadata: stored.metadata,
+    }));
+
+    try {
+      await new S3DB(TEST_BUCKET, 'encrypted', { client: s3Client, keyProvider: keyring }).getString('tampered.txt');
+      expect.fail('Expected an EncryptionError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(EncryptionError);
+      expect(err.message).to.include('Failed to decrypt');
+    }
+    await s3Client.send(new DeleteObjectCommand({ Bucket: TEST_BUCKET, Key: 'encrypted/tampered.txt' }));
+  });
+
+  it('should re-encrypt objects after rotating to a new key', async function() {
+    const rotated = new LocalKeyringProvider({ keys: { k1: key1, k2: key2 }, currentKeyId: 'k2' });
+    const s3db = new S3DB(TEST_BUCKET, 'encrypted', { client: s3Client, keyProvider: rotated });
+
+    // old objects stay readable while both keys are in the keyring
+    expect(await s3db.get('U1')).to.deep.equal({ ...userData, name: 'Jane Smith' });
+
+    const counts = await s3db.reencrypt();
+    expect(counts).to.deep.equal({ scanned: 3, reencrypted: 3, conflicts: 0 });
+    expect((await readStored('encrypted/public.txt')).metadata['s3db-key-id']).to.equal('k2');
+    expect(await s3db.reencrypt()).to.deep.equal({ scanned: 3, reencrypted: 0, conflicts: 0 });
+
+    const k2Only = new S3DB(TEST_BUCKET, 'encrypted', {
+      client: s3Client,
+      keyProvider: new LocalKeyringProvider({ keys: { k2: key2 } }),
+    });
+    expect(await k2Only.get('U1')).to.deep.equal({ ...userData, name: 'Jane Smith' });
+    expect(await k2Only.getString('notes.txt')).to.equal('top secret');
+    expect(await k2Only.getString('public.txt')).to.equal('hello');
+  });
+
+  it('should wrap data keys with KMS', async function() {
+    // a stand-in for KMS that wraps data keys with a local key
+    const kmsKeyring = new LocalKeyringProvider({ keys: { 'alias/s3db': key1 } });
+    const kmsClient = {
+      send: async command => {
+        if (command.constructor.name === 'GenerateDataKeyCommand') {
+          expect(command.input).to.include({ KeyId: 'alias/s3db', KeySpec: 'AES_256' });
+          const { plaintextKey, encryptedKey } = await kmsKeyring.generateDataKey();
+          return { Plaintext: plaintextKey, CiphertextBlob: encryptedKey };
+        }
+        return { Plaintext: await kmsKeyring.decryptDataKey(Buffer.from(command.input.CiphertextBlob), 'alias/s3db') };
+      },
+    };
+    const s3db = new S3DB(TEST_BUCKET, 'encrypted', {
+      client: s3Client,
+      keyProvider: new KmsKeyProvider({ keyId: 'alias/s3db', client: kmsClient }),
+    });
+
+    await s3db.put('U2', userData);
+    expect((await readStored('encrypted/U2.json')).metadata['s3db-key-id']).to.equal('alias/s3db');
+    expect(await s3db.get('U2')).to.deep.equal(userData);
+  });
+
+  it('should map KMS errors', async function() {
+    const kmsClient = {
+      send: async () => {
+        throw Object.assign(new Error('not allowed'), { name: 'AccessDeniedException', $metadata: { httpStatusCode: 400 } });
+      },
+    };
+    const s3db = new S3DB(TEST_BUCKET, 'encrypted', {
+      client: s3Client,
+      keyProvider: new KmsKeyProvider({ keyId: 'alias/s3db', client: kmsClient }),
+    });
+
+    try {
+      await s3db.put('U3', userData);
+      expect.fail('Expected an AccessDeniedError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(AccessDeniedError);
+      expect(err.key).to.equal('encrypted/U3.json');
+    }
+    expect(await s3db.exists('U3')).to.be.false;
+  });
+
+  it('should validate the key provider', function() {
+    expect(() => new S3DB(TEST_BUCKET, 'encrypted', { client: s3Client, keyProvider: {} })).to.throw('Invalid keyProvider');
+    expect(() => new LocalKeyringProvider({ keys: { k1: Buffer.alloc(16) } })).to.throw('32 bytes');
+    expect(() => new LocalKeyringProvider({ keys: { k1: key1 }, currentKeyId: 'k2' })).to.throw('not in the keyring');
+  });
+});
+
+describe('S3DB Compression', function() {
+  const document = { name: 'John Doe', history: Array.from({ length: 200 }, (_, i) => ({ event: 'login', n: i })) };
+  const uncompressedSize = JSON.stringify(document).length;
+
+  async function readStored(s3Key) {
+    const response = await s3Client.send(new GetObjectCommand({ Bucket: TEST_BUCKET, Key: s3Key }));
+    return {
+      body: Buffer.from(await response.Body.transformToByteArray()),
+      metadata: response.Metadata,
+      contentEncoding: response.ContentEncoding,
+    };
+  }
+
+  before(async function() {
+    await new S3DB(TEST_BUCKET, 'compressed', { client: s3Client }).deletePrefix();
+  });
+
+  it('should compress with the instance setting and decompress on read', async function() {
+    const s3db = new S3DB(TEST_BUCKET, 'compressed', { client: s3Client, compression: 'gzip' });
+    await s3db.put('gzipped', document);
+
+    const stored = await readStored('compressed/gzipped.json');
+    expect(stored.contentEncoding).to.equal('gzip');
+    expect(stored.metadata['s3db-compression']).to.equal('gzip');
+    expect(stored.body.length).to.be.below(uncompressedSize / 5);
+    expect(await s3db.get('gzipped')).to.deep.equal(document);
+
+    // readers don't need the setting to decompress
+    expect(await new S3DB(TEST_BUCKET, 'compressed', { client: s3Client }).get('gzipped')).to.deep.equal(document);
+  });
+
+  it('should let each call choose the compression', async function() {
+    const s3db = new S3DB(TEST_BUCKET, 'compressed', { client: s3Client, compression: 'gzip' });
+    await s3db.putRaw('notes.txt', 'some notes '.repeat(100), { compression: 'brotli' });
+    await s3db.put('plain', document, { compression: false });
+
+    expect((await readStored('compressed/notes.txt')).contentEncoding).to.equal('br');
+    expect(await s3db.getString('notes.txt')).to.equal('some notes '.repeat(100));
+    expect((await readStored('compressed/plain.json')).body.length).to.equal(uncompressedSize);
+    expect(await s3db.get('plain')).to.deep.equal(document);
+
+    try {
+      await s3db.put('invalid', document, { compression: 'zip' });
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err.message).to.include('Invalid compression: zip');
+    }
+  });
+
+  it('should compress before encrypting', async function() {
+    const keyProvider = new LocalKeyringProvider({ keys: { k1: LocalKeyringProvider.generateKey() } });
+    const s3db = new S3DB(TEST_BUCKET, 'compressed', { client: s3Client, compression: 'brotli', keyProvider });
+    await s3db.put('secure/encrypted', document);
+
+    const stored = await readStored('compressed/secure/encrypted.json');
+    // the stored bytes are ciphertext, so they aren't advertised as br
+    expect(stored.contentEncoding).to.be.undefined;
+    expect(stored.metadata['s3db-compression']).to.equal('brotli');
+    expect(stored.body.length).to.be.below(uncompressedSize / 5);
+    expect(await s3db.get('secure/encrypted')).to.deep.equal(document);
+
+    await s3db.reencrypt('secure', { force: true });
+    expect((await readStored('compressed/secure/encrypted.json')).metadata['s3db-compression']).to.equal('brotli');
+    expect(await s3db.get('secure/encrypted')).to.deep.equal(document);
+    await s3db.delete('secure/encrypted');
+  });
+
+  it('should compress existing objects in place', async function() {
+    const s3db = new S3DB(TEST_BUCKET, 'compressed', { client: s3Client });
+    await s3db.putRaw('legacy.csv', 'id,name\n1,John\n'.repeat(50));
+
+    const counts = await s3db.compress('', { compression: 'gzip' });
+    // gzipped.json already is
+    expect(counts).to.deep.equal({ scanned: 4, compressed: 3, conflicts: 0 });
+    expect(await s3db.compress('', { compression: 'gzip' })).to.deep.equal({ scanned: 4, compressed: 0, conflicts: 0 });
+
+    expect((await readStored('compressed/plain.json')).contentEncoding).to.equal('gzip');
+    expect((await readStored('compressed/notes.txt')).contentEncoding).to.equal('gzip');
+    expect(await s3db.get('plain')).to.deep.equal(document);
+    expect(await s3db.getString('notes.txt')).to.equal('some notes '.repeat(100));
+    expect(await s3db.getString('legacy.csv')).to.equal('id,name\n1,John\n'.repeat(50));
+  });
+
+  it('should throw a ParseError for a corrupt compressed object', async function() {
+    await s3Client.send(new PutObjectCommand({
+      Bucket: TEST_BUCKET,
+      Key: 'compressed/corrupt.json',
+      Body: 'not gzip',
+      ContentEncoding: 'gzip',
+    }));
+
+    try {
+      await new S3DB(TEST_BUCKET, 'compressed', { client: s3Client }).get('corrupt');
+      expect.fail('Expected a ParseError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(ParseError);
+      expect(err.message).to.include('Failed to decompress');
+    }
+  });
+});
+
+describe('S3DB Versioning', function() {
+  // the real test bucket needs versioning enabled for these
+  const versionedClient = USE_S3 ? s3Client : new MemoryS3Client({ versioning: true });
+  const s3db = new S3DB(TEST_BUCKET, 'versioned', { client: versionedClient });
+
+  before(async function() {
+    await s3db.deletePrefix();
+  });
+
+  it('should list versions and get an old version', async function() {
+    const first = await s3db.put('U1', { name: 'John Doe', plan: 'free' });
+    await s3db.update('U1', { plan: 'pro' });
+    await s3db.update('U1', { plan: 'enterprise' });
+
+    const versions = await s3db.listVersions('U1');
+    expect(versions).to.have.lengthOf(3);
+    expect(versions[0].isLatest).to.be.true;
+    expect(versions.slice(1).every(version => !version.isLatest && !version.isDeleteMarker)).to.be.true;
+    expect(versions[2].versionId).to.equal(first.versionId);
+    expect(versions[2].etag).to.equal(first.etag);
+
+    expect(await s3db.get('U1', { versionId: versions[1].versionId })).to.deep.equal({ name: 'John Doe', plan: 'pro' });
+    expect(await s3db.get('U1')).to.deep.equal({ name: 'John Doe', plan: 'enterprise' });
+  });
+
+  it('should restore an old version over the current one', async function() {
+    const [, , original] = await s3db.listVersions('U1');
+    await s3db.update('U1', { name: null });
+
+    const restored = await s3db.restore('U1', original.versionId);
+    expect(await s3db.get('U1')).to.deep.equal({ name: 'John Doe', plan: 'free' });
+
+    const versions = await s3db.listVersions('U1');
+    expect(versions).to.have.lengthOf(5);
+    expect(versions[0].versionId).to.equal(restored.versionId);
+  });
+
+  it('should show soft-deleted records when asked to', async function() {
+    await s3db.put('U2', { name: 'Jane Doe' });
+    await s3db.putRaw('notes.txt', 'notes');
+    await s3db.delete('U1');
+    await s3db.deleteRaw('notes.txt');
+
+    expect(await s3db.exists('U1')).to.be.false;
+    expect(await s3db.exists('U1', { includeDeleted: true })).to.be.true;
+    expect(await s3db.exists('U3', { includeDeleted: true })).to.be.false;
+    expect(await s3db.existsRaw('notes.txt', { includeDeleted: true })).to.be.true;
+
+    expect(await s3db.list()).to.deep.equal(['U2']);
+    expect(await s3db.list('', { includeDeleted: true })).to.deep.equal(['U1', 'U2', 'notes.txt']);
+    const entries = await s3db.list('', { includeDeleted: true, withMetadata: true });
+    expect(entries.map(entry => entry.deleted)).to.deep.equal([true, false, true]);
+
+    const [marker, lastVersion] = await s3db.listVersions('U1');
+    expect(marker.isDeleteMarker).to.be.true;
+    await s3db.restore('U1', lastVersion.versionId);
+    expect(await s3db.get('U1')).to.deep.equal({ name: 'John Doe', plan: 'free' });
+    expect(await s3db.getString('notes.txt', { returnNullIfNotFound: true })).to.be.null;
+  });
+
+  it('should page through soft-deleted records', async function() {
+    const keys = [];
+    let cursor;
+    do {
+      const page = await s3db.listPage('', { includeDeleted: true, maxKeys: 2, cursor });
+      keys.push(...page.keys);
+      cursor = page.cursor;
+    } while (cursor);
+    expect(keys).to.deep.equal(['U1', 'U2', 'notes.txt']);
+  });
+
+  it('should throw a NotFoundError for an unknown version', async function() {
+    try {
+      await s3db.get('U1', { versionId: 'no-such-version' });
+      expect.fail('Expected a NotFoundError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(NotFoundError);
+    }
+    try {
+      await s3db.restore('U1', 'no-such-version');
+      expect.fail('Expected a NotFoundError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(NotFoundError);
+      expect(err.message).to.include('Failed to restore version no-such-version');
+    }
+  });
+
+  it('should keep collection indexes in sync when restoring', async function() {
+    const users = s3db.collection('users', { indexes: ['plan'] });
+    await users.put('U1', { name: 'John Doe', plan: 'free' });
+    const [original] = await users.listVersions('U1');
+    await users.update('U1', { plan: 'pro' });
+    expect(await users.findBy('plan', 'free')).to.have.lengthOf(0);
+
+    await users.restore('U1', original.versionId);
+    expect((await users.findBy('plan', 'free')).map(match => match.key)).to.deep.equal(['U1']);
+    expect(await users.indexDb.list('plan')).to.have.lengthOf(1);
+  });
+
+  it('should permanently delete a single version in the in-memory backend', async function() {
+    const client = new MemoryS3Client({ versioning: true });
+    const db = new S3DB(TEST_BUCKET, 'versioned', { client });
+    await db.put('U1', { v: 1 });
+    const latest = await db.put('U1', { v: 2 });
+
+    await client.send(new DeleteObjectCommand({ Bucket: TEST_BUCKET, Key: 'versioned/U1.json', VersionId: latest.versionId }));
+    expect(await db.get('U1')).to.deep.equal({ v: 1 });
+    expect(await db.listVersions('U1')).to.have.lengthOf(1);
+  });
+});
+
+describe('S3DB Serializers', function() {
+  async function readStored(s3Key) {
+    const response = await s3Client.send(new GetObjectCommand({ Bucket: TEST_BUCKET, Key: s3Key }));
+    return { body: await response.Body.transformToString(), contentType: response.ContentType };
+  }
+
+  before(async function() {
+    await new S3DB(TEST_BUCKET, 'serializers', { client: s3Client }).deletePrefix();
+  });
+
+  it('should store JSON with its content type by default', async function() {
+    const s3db = new S3DB(TEST_BUCKET, 'serializers/json', { client: s3Client });
+    await s3db.put('U1', { name: 'John Doe' });
+    expect(await readStored('serializers/json/U1.json')).to.deep.equal({
+      body: '{"name":"John Doe"}',
+      contentType: 'application/json',
+    });
+  });
+
+  it('should use the instance serializer for keys, bodies and listing', async function() {
+    const s3db = new S3DB(TEST_BUCKET, 'serializers/ndjson', { client: s3Client, serializer: 'ndjson' });
+    const events = [{ type: 'login', user: 'U1' }, { type: 'logout', user: 'U1' }];
+    await s3db.put('2024-01-01', events);
+    await s3db.putRaw('report.json.bak', 'backup');
+
+    const stored = await readStored('serializers/ndjson/2024-01-01.ndjson');
+    expect(stored.contentType).to.equal('application/x-ndjson');
+    expect(stored.body).to.equal('{"type":"login","user":"U1"}\n{"type":"logout","user":"U1"}\n');
+    expect(await s3db.get('2024-01-01')).to.deep.equal(events);
+    expect(await s3db.exists('2024-01-01')).to.be.true;
+
+    // only the serializer's extension, and only at the end, is stripped
+    expect(await s3db.list()).to.deep.equal(['2024-01-01', 'report.json.bak']);
+  });
+
+  it('should keep bookkeeping in JSON whatever the records use', async function() {
+    const s3db = new S3DB(TEST_BUCKET, 'serializers/bookkeeping', { client: s3Client, serializer: 'ndjson', changeLog: true });
+    await s3db.deletePrefix('_sequences');
+    await s3db.deletePrefix('_changes');
+    expect(await s3db.sequence('orders').next()).to.equal(1);
+    await s3db.withLock('nightly', async () => {});
+    await s3db.put('2024-01-01', [{ type: 'login' }]);
+    const { changes } = await s3db.changes();
+    expect(changes.map(({ operation, key, data }) => [operation, key, data])).to.deep.equal([
+      ['put', 'serializers/bookkeeping/2024-01-01.ndjson', [{ type: 'login' }]],
+    ]);
+  });
+
+  it('should support registered and ad hoc serializers', async function() {
+    // key=value lines
+    registerSerializer('properties', {
+      extension: '.properties',
+      contentType: 'text/plain',
+      encode: data => Object.entries(data).map(([key, value]) => `${key}=${value}`).join('\n'),
+      decode: body => Object.fromEntries(body.toString().split('\n').map(line => line.split('='))),
+    });
+    const s3db = new S3DB(TEST_BUCKET, 'serializers/properties', { client: s3Client, serializer: 'properties' });
+    await s3db.put('app', { host: 'localhost', port: '8080' });
+    expect((await readStored('serializers/properties/app.properties')).body).to.equal('host=localhost\nport=8080');
+    expect(await s3db.get('app')).to.deep.equal({ host: 'localhost', port: '8080' });
+    await s3db.update('app', { port: '9090' });
+    expect(await s3db.get('app')).to.deep.equal({ host: 'localhost', port: '9090' });
+
+    const base64 = new S3DB(TEST_BUCKET, 'serializers/base64', {
+      client: s3Client,
+      serializer: {
+        extension: '.b64',
+        encode: data => Buffer.from(JSON.stringify(data)).toString('base64'),
+        decode: body => JSON.parse(Buffer.from(body.toString(), 'base64').toString()),
+      },
+    });
+    await base64.put('U1', { name: 'John Doe' });
+    expect(await base64.list()).to.deep.equal(['U1']);
+    expect(await base64.get('U1')).to.deep.equal({ name: 'John Doe' });
+  });
+
+  it('should preserve Dates, BigInts and Buffers with the type replacer and reviver', async function() {
+    const s3db = new S3DB(TEST_BUCKET, 'serializers/typed', { client: s3Client, replacer: typeReplacer, reviver: typeReviver });
+    const record = {
+      createdAt: new Date('2024-01-01T12:00:00.000Z'),
+      balance: 12345678901234567890n,
+      avatar: Buffer.from([1, 2, 3]),
+      nested: { dates: [new Date(0)] },
+    };
+    await s3db.put('U1', record);
+
+    expect(JSON.parse((await readStored('serializers/typed/U1.json')).body).createdAt).to.deep.equal({ $date: '2024-01-01T12:00:00.000Z' });
+    const data = await s3db.get('U1');
+    expect(data.createdAt).to.be.instanceOf(Date);
+    expect(data.createdAt.getTime()).to.equal(record.createdAt.getTime());
+    expect(data.balance).to.equal(12345678901234567890n);
+    expect(Buffer.isBuffer(data.avatar)).to.be.true;
+    expect([...data.avatar]).to.deep.equal([1, 2, 3]);
+    expect(data.nested.dates[0]).to.be.instanceOf(Date);
+  });
+
+  it('should reject unknown and invalid serializers', function() {
+    expect(() => new S3DB(TEST_BUCKET, 'serializers', { client: s3Client, serializer: 'yaml' })).to.throw('Unknown serializer: yaml');
+    expect(() => new S3DB(TEST_BUCKET, 'serializers', { client: s3Client, serializer: { extension: '.x' } })).to.throw('must implement encode() and decode()');
+    expect(() => registerSerializer('bad', { extension: 'bad', encode() {}, decode() {} })).to.throw("starting with '.'");
+  });
+
+  it('should throw a ParseError naming the serializer', async function() {
+    const s3db = new S3DB(TEST_BUCKET, 'serializers/ndjson', { client: s3Client, serializer: 'ndjson' });
+    await s3db.putRaw('broken.ndjson', '{ not json');
+    try {
+      await s3db.get('broken');
+      expect.fail('Expected a ParseError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(ParseError);
+      expect(err.message).to.include('Failed to parse NDJSON data for key broken.ndjson');
+    }
+  });
+});
+
+describe('S3DB Object Metadata', function() {
+  const s3db = new S3DB(TEST_BUCKET, 'metadata', { client: s3Client });
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+
+  before(async function() {
+    await s3db.deletePrefix();
+  });
+
+  it('should store content type, cache control, metadata and tags on putRaw', async function() {
+    await s3db.putRaw('avatar.png', png, {
+      contentType: 'image/png',
+      cacheControl: 'max-age=3600',
+      metadata: { uploadedBy: 'U1', width: 64 },
+      tags: { team: 'core', classification: 'public' },
+    });
+
+    const info = await s3db.headRaw('avatar.png', { withTags: true });
+    expect(info).to.include({ size: 4, contentType: 'image/png', cacheControl: 'max-age=3600', tagCount: 2 });
+    expect(info.etag).to.be.a('string');
+    expect(info.lastModified).to.be.instanceOf(Date);
+    // S3 lower-cases metadata names
+    expect(Object.fromEntries(Object.entries(info.metadata).map(([k, v]) => [k.toLowerCase(), v]))).to.deep.equal({ uploadedby: 'U1', width: '64' });
+    expect(info.tags).to.deep.equal({ team: 'core', classification: 'public' });
+
+    const { body, contentType } = await s3db.getRaw('avatar.png', { withMetadata: true });
+    expect(body.equals(png)).to.be.true;
+    expect(contentType).to.equal('image/png');
+  });
+
+  it('should store metadata on put and return it from head and get', async function() {
+    await s3db.put('U1', { name: 'John Doe' }, { metadata: { source: 'import' }, tags: { pii: 'true' } });
+
+    const info = await s3db.head('U1');
+    expect(info.contentType).to.equal('application/json');
+    expect(info.metadata).to.deep.equal({ source: 'import' });
+    expect(info.size).to.equal('{"name":"John Doe"}'.length);
+
+    const result = await s3db.get('U1', { withMetadata: true });
+    expect(result.data).to.deep.equal({ name: 'John Doe' });
+    expect(result.metadata).to.deep.equal({ source: 'import' });
+    expect(result.etag).to.equal(info.etag);
+    expect(result).to.not.have.property('body');
+
+    expect(await s3db.head('missing', { returnNullIfNotFound: true })).to.be.null;
+    try {
+      await s3db.head('missing');
+      expect.fail('Expected a NotFoundError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(NotFoundError);
+    }
+  });
+
+  it('should keep metadata and tags through update', async function() {
+    await s3db.update('U1', { plan: 'pro' });
+    const info = await s3db.head('U1', { withTags: true });
+    expect(info.metadata).to.deep.equal({ source: 'import' });
+    expect(info.tags).to.deep.equal({ pii: 'true' });
+
+    await s3db.update('U1', { plan: 'free' }, { metadata: { source: 'api' } });
+    expect((await s3db.head('U1')).metadata).to.deep.equal({ source: 'api' });
+  });
+
+  it('should hide its own metadata and reject reserved names', async function() {
+    const compressed = new S3DB(TEST_BUCKET, 'metadata', { client: s3Client, compression: 'gzip' });
+    await compressed.put('U2', { name: 'Jane Doe' }, { metadata: { source: 'import' } });
+    expect((await compressed.head('U2')).metadata).to.deep.equal({ source: 'import' });
+
+    try {
+      await s3db.put('U3', {}, { metadata: { 's3db-compression': 'none' } });
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err.message).to.include('reserved');
+    }
+    try {
+      await s3db.putRaw('U3', 'x', { tags: 'team=core' });
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err.message).to.include('Invalid tags');
+    }
+  });
+});
+
+describe('S3DB Streaming', function() {
+  const s3db = new S3DB(TEST_BUCKET, 'streaming', { client: s3Client });
+  const alphabet = Buffer.from('abcdefghijklmnopqrstuvwxyz');
+
+  async function readStream(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  before(async function() {
+    await s3db.deletePrefix();
+  });
+
+  it('should upload a stream in parts and stream it back', async function() {
+    this.timeout(30000);
+    const part = 5 * 1024 * 1024;
+    const data = Buffer.alloc(2 * part + 1000, 'x');
+    const progress = [];
+
+    await s3db.putStream('large.bin', Readable.from([data.subarray(0, part + 10), data.subarray(part + 10)]), {
+      partSize: part,
+      queueSize: 2,
+      contentType: 'application/octet-stream',
+      onProgress: event => progress.push(event),
+    });
+
+    expect(progress.map(event => event.part).sort()).to.deep.equal([1, 2, 3]);
+    expect(Math.max(...progress.map(event => event.loaded))).to.equal(data.length);
+    expect((await s3db.headRaw('large.bin')).size).to.equal(data.length);
+    expect((await readStream(await s3db.getStream('large.bin'))).equals(data)).to.be.true;
+  });
+
+  it('should read byte ranges', async function() {
+    await s3db.putRaw('alphabet.txt', alphabet);
+
+    expect((await s3db.getRaw('alphabet.txt', { range: { start: 0, end: 4 } })).toString()).to.equal('abcde');
+    expect((await s3db.getRaw('alphabet.txt', { range: { start: 20 } })).toString()).to.equal('uvwxyz');
+    expect((await s3db.getRaw('alphabet.txt', { range: 'bytes=-3' })).toString()).to.equal('xyz');
+    expect((await readStream(await s3db.getStream('alphabet.txt', { range: { start: 10, end: 12 } }))).toString()).to.equal('klm');
+
+    try {
+      await s3db.getRaw('alphabet.txt', { range: { start: 5, end: 2 } });
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err.message).to.include('Invalid range');
+    }
+    try {
+      await s3db.getRaw('alphabet.txt', { range: { start: 100 } });
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(S3DBError);
+      expect(err.code).to.equal('InvalidRange');
+    }
+  });
+
+  it('should compress and encrypt streams on the fly', async function() {
+    const keyProvider = new LocalKeyringProvider({ keys: { k1: LocalKeyringProvider.generateKey() } });
+    const secure = new S3DB(TEST_BUCKET, 'streaming', { client: s3Client, compression: 'gzip', keyProvider });
+    const lines = Array.from({ length: 1000 }, (_, i) => `line ${i}\n`);
+
+    await secure.putStream('log.txt', Readable.from(lines));
+    const stored = await s3db.headRaw('log.txt');
+    expect(stored.size).to.be.below(lines.join('').length / 2);
+    expect((await readStream(await secure.getStream('log.txt'))).toString()).to.equal(lines.join(''));
+    expect(await secure.getString('log.txt')).to.equal(lines.join(''));
+
+    try {
+      await secure.getStream('log.txt', { range: { start: 0, end: 9 } });
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(S3DBError);
+      expect(err.message).to.include('byte range');
+    }
+  });
+
+  it('should fail the stream when an encrypted object was tampered with', async function() {
+    const keyProvider = new LocalKeyringProvider({ keys: { k1: LocalKeyringProvider.generateKey() } });
+    const secure = new S3DB(TEST_BUCKET, 'streaming', { client: s3Client, keyProvider });
+    await secure.putStream('secret.txt', Readable.from([alphabet]));
+
+    const response = await s3Client.send(new GetObjectCommand({ Bucket: TEST_BUCKET, Key: 'streaming/secret.txt' }));
+    const body = Buffer.from(await response.Body.transformToByteArray());
+    body[0] ^= 1;
+    await s3Client.send(new PutObjectCommand({ Bucket: TEST_BUCKET, Key: 'streaming/secret.txt', Body: body, Metadata: response.Metadata }));
+
+    try {
+      await readStream(await secure.getStream('secret.txt'));
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(EncryptionError);
+    }
+  });
+
+  it('should validate its arguments', async function() {
+    expect(await s3db.getStream('missing.bin', { returnNullIfNotFound: true })).to.be.null;
+    try {
+      await s3db.putStream('bad.bin', 'not a stream');
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err.message).to.include('Invalid stream');
+    }
+    try {
+      await s3db.putStream('bad.bin', Readable.from([alphabet]), { partSize: 1024 });
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err.message).to.include('Invalid partSize');
+    }
+  });
+});
+
+describe('S3DB Cache', function() {
+  const config = { feature: 'dark-mode', enabled: true };
+
+  // wraps s3Client to count the GetObject requests that reach S3
+  function countingClient() {
+    const client = {
+      gets: 0,
+      send: async (command, options) => {
+        if (command.constructor.name === 'GetObjectCommand') {
+          client.gets++;
+        }
+        return s3Client.send(command, options);
+      },
+      config: s3Client.config,
+    };
+    return client;
+  }
+
+  before(async function() {
+    await new S3DB(TEST_BUCKET, 'cached', { client: s3Client }).deletePrefix();
+  });
+
+  it('should serve repeated reads from the cache', async function() {
+    const client = countingClient();
+    const s3db = new S3DB(TEST_BUCKET, 'cached', { client, cache: true });
+    await s3db.put('config', config);
+
+    expect(await s3db.get('config')).to.deep.equal(config);
+    expect(await s3db.get('config')).to.deep.equal(config);
+    expect((await s3db.get('config', { withETag: true })).etag).to.be.a('string');
+    expect(await s3db.getString('config.json')).to.equal(JSON.stringify(config));
+    expect(client.gets).to.equal(1);
+    expect(s3db.cacheStats).to.deep.equal({ hits: 3, misses: 1, revalidations: 0 });
+
+    // bypassing the cache and reading versions always goes to S3
+    await s3db.get('config', { cache: false });
+    expect(client.gets).to.equal(2);
+  });
+
+  it('should invalidate on its own writes', async function() {
+    const s3db = new S3DB(TEST_BUCKET, 'cached', { client: s3Client, cache: true });
+    await s3db.put('flag', { on: false });
+    expect(await s3db.get('flag')).to.deep.equal({ on: false });
+
+    await s3db.put('flag', { on: true });
+    expect(await s3db.get('flag')).to.deep.equal({ on: true });
+    await s3db.update('flag', { rollout: 50 });
+    expect(await s3db.get('flag')).to.deep.equal({ on: true, rollout: 50 });
+
+    await s3db.move('flag', 'flag-old');
+    expect(await s3db.get('flag', { returnNullIfNotFound: true })).to.be.null;
+    expect(await s3db.get('flag-old')).to.deep.equal({ on: true, rollout: 50 });
+
+    await s3db.delete('flag-old');
+    expect(await s3db.get('flag-old', { returnNullIfNotFound: true })).to.be.null;
+  });
+
+  it('should not cache a read that raced with a write made through a collection', async function() {
+    // holds GetObject responses until released
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const client = {
+      send: async (command, options) => {
+        const response = await s3Client.send(command, options);
+        if (command.constructor.name === 'GetObjectCommand') {
+          await held;
+        }
+        return response;
+      },
+      config: s3Client.config,
+    };
+    const s3db = new S3DB(TEST_BUCKET, 'cached', { client, cache: true });
+    const flags = s3db.collection('flags');
+    await flags.put('beta', { on: false });
+
+    const read = s3db.get('flags/beta');
+    await flags.put('beta', { on: true });
+    release();
+    expect(await read).to.deep.equal({ on: false });
+    expect(await s3db.get('flags/beta')).to.deep.equal({ on: true });
+  });
+
+  it('should revalidate expired entries with If-None-Match', async function() {
+    const client = countingClient();
+    const s3db = new S3DB(TEST_BUCKET, 'cached', { client, cache: { ttlMs: 0 } });
+    await s3db.put('config', config);
+
+    expect(await s3db.get('config')).to.deep.equal(config);
+    expect(await s3db.get('config')).to.deep.equal(config);
+    expect(s3db.cacheStats).to.deep.equal({ hits: 0, misses: 1, revalidations: 1 });
+
+    // a change made elsewhere is picked up on revalidation
+    await new S3DB(TEST_BUCKET, 'cached', { client: s3Client }).put('config', { ...config, enabled: false });
+    expect((await s3db.get('config')).enabled).to.be.false;
+    expect(s3db.cacheStats.misses).to.equal(2);
+    expect(client.gets).to.equal(3);
+  });
+
+  it('should evict the least recently used entries and accept other adapters', async function() {
+    const lru = new LruCache({ maxEntries: 2 });
+    lru.set('a', 1);
+    lru.set('b', 2);
+    lru.get('a');
+    lru.set('c', 3);
+    expect(lru.get('b')).to.be.undefined;
+    expect(lru.get('a')).to.equal(1);
+    expect(lru.size).to.equal(2);
+
+    // an async adapter, like one backed by Redis
+    const store = new Map();
+    const adapter = {
+      get: async key => store.get(key),
+      set: async (key, entry) => { store.set(key, entry); },
+      delete: async key => { store.delete(key); },
+    };
+    const s3db = new S3DB(TEST_BUCKET, 'cached', { client: s3Client, cache: { adapter } });
+    await s3db.put('config', config);
+    await s3db.get('config');
+    expect(store.has(`${TEST_BUCKET}/cached/config.json`)).to.be.true;
+    // collections share the adapter
+    await s3db.collection('sub').put('x', {});
+    await s3db.collection('sub').get('x');
+    expect(store.has(`${TEST_BUCKET}/cached/sub/x.json`)).to.be.true;
+
+    // instances in other buckets share it too
+    const other = new MemoryS3Client();
+    const staging = new S3DB('staging-bucket', 'cached', { client: other, cache: { adapter } });
+    await other.send(new PutObjectCommand({ Bucket: 'staging-bucket', Key: 'cached/config.json', Body: '{"env":"staging"}' }));
+    expect(await staging.get('config')).to.deep.equal({ env: 'staging' });
+
+    try {
+      new S3DB(TEST_BUCKET, 'cached', { client: s3Client, cache: { adapter: {} } });
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err.message).to.include('Invalid cache adapter');
+    }
+  });
+});
+
+describe('S3DB Transactions', function() {
+  const s3db = new S3DB(TEST_BUCKET, 'tx', { client: s3Client });
+
+  // wraps s3Client so every command fails once dieWhen(command) has matched,
+  // like a process that crashed part way through
+  function crashingClient(dieWhen) {
+    const client = {
+      dead: false,
+      send: async (command, options) => {
+        if (client.dead || dieWhen(command)) {
+          client.dead = true;
+          throw Object.assign(new Error('connection lost'), { name: 'NetworkingError' });
+        }
+        return s3Client.send(command, options);
+      },
+      config: s3Client.config,
+    };
+    return client;
+  }
+
+  async function leftovers() {
+    const response = await s3Client.send(new ListObjectsV2Command({ Bucket: TEST_BUCKET, Prefix: 'tx/_transactions/' }));
+    return (response.Contents || []).map(({ Key }) => Key);
+  }
+
+  beforeEach(async function() {
+    await s3db.deletePrefix();
+    await s3db.put('alice', { balance: 100 });
+    await s3db.put('bob', { balance: 50 });
+  });
+
+  it('should apply every staged operation and clean up', async function() {
+    const result = await s3db.transaction(async tx => {
+      const alice = await tx.get('alice');
+      const bob = await tx.get('bob');
+      tx.put('alice', { balance: alice.balance - 30 });
+      tx.put('bob', { balance: bob.balance + 30 });
+      tx.putRaw('receipts/1.txt', 'alice -> bob: 30');
+      tx.delete('carol');
+      return 'done';
+    });
+
+    expect(result).to.equal('done');
+    expect(await s3db.get('alice')).to.deep.equal({ balance: 70 });
+    expect(await s3db.get('bob')).to.deep.equal({ balance: 80 });
+    expect(await s3db.getString('receipts/1.txt')).to.equal('alice -> bob: 30');
+    expect(await leftovers()).to.deep.equal([]);
+  });
+
+  it('should abort without writing when a record read has changed', async function() {
+    try {
+      await s3db.transaction(async tx => {
+        const alice = await tx.get('alice');
+        await s3db.put('alice', { balance: 0 });
+        tx.put('alice', { balance: alice.balance - 30 });
+        tx.put('bob', { balance: 80 });
+      });
+      expect.fail('Expected a ConflictError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(ConflictError);
+      expect(err.message).to.include('has changed since it was read');
+    }
+    expect(await s3db.get('alice')).to.deep.equal({ balance: 0 });
+    expect(await s3db.get('bob')).to.deep.equal({ balance: 50 });
+    expect(await leftovers()).to.deep.equal([]);
+
+    try {
+      await s3db.transaction(async tx => tx.put('bob', {}, { ifNoneMatch: '*' }));
+      expect.fail('Expected a ConflictError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(ConflictError);
+    }
+  });
+
+  it('should roll back applied operations when a later one fails', async function() {
+    // someone else writes bob just as the transaction applies its change
+    const client = {
+      send: async (command, options) => {
+        if (command.constructor.name === 'PutObjectCommand' && command.input.Key === 'tx/bob.json' && command.input.IfMatch) {
+          await s3Client.send(new PutObjectCommand({ Bucket: TEST_BUCKET, Key: 'tx/bob.json', Body: '{"balance":1}' }));
+        }
+        return s3Client.send(command, options);
+      },
+      config: s3Client.config,
+    };
+    const racing = new S3DB(TEST_BUCKET, 'tx', { client });
+
+    try {
+      await racing.transaction(async tx => {
+        tx.put('alice', { balance: 70 });
+        tx.put('bob', { balance: 80 });
+      });
+      expect.fail('Expected a ConflictError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(ConflictError);
+    }
+    expect(await s3db.get('alice')).to.deep.equal({ balance: 100 });
+    expect(await s3db.get('bob')).to.deep.equal({ balance: 1 });
+    expect(await leftovers()).to.deep.equal([]);
+  });
+
+  it('should roll interrupted transactions forward or back on recover', async function() {
+    // dies after alice has been written, while applying bob
+    const applying = new S3DB(TEST_BUCKET, 'tx', {
+      client: crashingClient(command => command.constructor.name === 'PutObjectCommand' &&
+        command.input.Key === 'tx/bob.json' && command.input.IfMatch),
+    });
+    try {
+      await applying.transaction(async tx => {
+        tx.put('alice', { balance: 70 });
+        tx.put('bob', { balance: 80 });
+        tx.putRaw('receipts/1.txt', 'alice -> bob: 30');
+      });
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err.message).to.include('could not be rolled back');
+    }
+    expect(await s3db.get('alice')).to.deep.equal({ balance: 70 });
+    expect(await s3db.get('bob')).to.deep.equal({ balance: 50 });
+
+    // dies while staging
+    const pending = new S3DB(TEST_BUCKET, 'tx', {
+      client: crashingClient(command => command.constructor.name === 'PutObjectCommand' &&
+        /_transactions\/.+\/0$/.test(command.input.Key)),
+    });
+    try {
+      await pending.transaction(async tx => tx.put('carol', { balance: 10 }));
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err.message).to.include('connection lost');
+    }
+
+    // young transactions may still be running, so they are left alone
+    expect(await s3db.recover()).to.deep.equal({ committed: 0, rolledBack: 0 });
+    expect(await s3db.recover({ olderThanMs: 0 })).to.deep.equal({ committed: 1, rolledBack: 1 });
+    expect(await s3db.get('alice')).to.deep.equal({ balance: 70 });
+    expect(await s3db.get('bob')).to.deep.equal({ balance: 80 });
+    expect(await s3db.getString('receipts/1.txt')).to.equal('alice -> bob: 30');
+    expect(await s3db.exists('carol')).to.be.false;
+    expect(await leftovers()).to.deep.equal([]);
+  });
+
+  it('should leave keys someone else changed alone on recover', async function() {
+    // someone else writes bob just as the transaction applies its change,
+    // then the process dies while rolling alice back
+    let dead = false;
+    const client = {
+      send: async (command, options) => {
+        const { Key, IfMatch } = command.input;
+        if (dead || (command.constructor.name === 'CopyObjectCommand' && Key === 'tx/alice.json')) {
+          dead = true;
+          throw Object.assign(new Error('connection lost'), { name: 'NetworkingError' });
+        }
+        if (command.constructor.name === 'PutObjectCommand' && Key === 'tx/bob.json' && IfMatch) {
+          await s3Client.send(new PutObjectCommand({ Bucket: TEST_BUCKET, Key, Body: '{"balance":1}' }));
+        }
+        return s3Client.send(command, options);
+      },
+      config: s3Client.config,
+    };
+    try {
+      await new S3DB(TEST_BUCKET, 'tx', { client }).transaction(async tx => {
+        tx.put('alice', { balance: 70 });
+        tx.put('bob', { balance: 80 });
+      });
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err.message).to.include('could not be rolled back');
+    }
+    expect(await s3db.recover({ olderThanMs: 0 })).to.deep.equal({ committed: 0, rolledBack: 1 });
+    expect(await s3db.get('alice')).to.deep.equal({ balance: 100 });
+    expect(await s3db.get('bob')).to.deep.equal({ balance: 1 });
+
+    // dies while applying bob, which someone else writes before recover()
+    const applying = new S3DB(TEST_BUCKET, 'tx', {
+      client: crashingClient(command => command.constructor.name === 'PutObjectCommand' &&
+        command.input.Key === 'tx/bob.json' && command.input.IfMatch),
+    });
+    try {
+      await applying.transaction(async tx => {
+        tx.put('alice', { balance: 70 });
+        tx.put('bob', { balance: 80 });
+      });
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err.message).to.include('could not be rolled back');
+    }
+    await s3db.put('bob', { balance: 2 });
+    expect(await s3db.recover({ olderThanMs: 0 })).to.deep.equal({ committed: 1, rolledBack: 0 });
+    expect(await s3db.get('alice')).to.deep.equal({ balance: 70 });
+    expect(await s3db.get('bob')).to.deep.equal({ balance: 2 });
+    expect(await leftovers()).to.deep.equal([]);
+  });
+
+  it('should validate and index collection records', async function() {
+    const users = s3db.collection('users', {
+      schema: { type: 'object', required: ['email'], properties: { email: { type: 'string' } } },
+      indexes: ['email'],
+    });
+    await users.put('U1', { email: 'old@example.com' });
+    // cleaning up after a transaction doesn't scan the indexes
+    const list = users.indexDb.list.bind(users.indexDb);
+    let scans = 0;
+    users.indexDb.list = async (subPath, options) => {
+      scans += subPath ? 0 : 1;
+      return await list(subPath, options);
+    };
+
+    try {
+      await users.transaction(async tx => tx.put('bad', { nope: 1 }));
+      expect.fail('Expected a ValidationError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(ValidationError);
+    }
+    expect(await users.exists('bad')).to.be.false;
+
+    await users.transaction(async tx => {
+      tx.put('U1', { email: 'new@example.com' });
+      tx.put('U2', { email: 'old@example.com' });
+    });
+    expect((await users.findBy('email', 'new@example.com')).map(match => match.key)).to.deep.equal(['U1']);
+    expect((await users.findBy('email', 'old@example.com')).map(match => match.key)).to.deep.equal(['U2']);
+    expect(scans).to.equal(0);
+
+    await users.transaction(async tx => tx.delete('U2'));
+    expect(await users.findBy('email', 'old@example.com')).to.be.empty;
+    expect(await users.indexDb.list()).to.have.lengthOf(1);
+    await users.indexDb.deletePrefix();
+  });
+});
+
+describe('S3DB Locks', function() {
+  const s3db = new S3DB(TEST_BUCKET, 'locks', { client: s3Client });
+
+  before(async function() {
+    await s3db.deletePrefix();
+  });
+
+  it('should let one owner at a time hold a lock', async function() {
+    const lease = await s3db.acquireLock('reports/daily', { owner: 'worker-1' });
+    expect(lease.owner).to.equal('worker-1');
+    expect(lease.expired).to.be.false;
+
+    try {
+      await s3db.acquireLock('reports/daily', { owner: 'worker-2' });
+      expect.fail('Expected a LockError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(LockError);
+      expect(err.owner).to.equal('worker-1');
+      expect(err.expiresAt).to.be.instanceOf(Date);
+    }
+
+    await lease.renew(60000);
+    expect(lease.expiresAt.getTime()).to.be.above(Date.now() + 30000);
+    expect(await lease.release()).to.be.true;
+    expect(lease.signal.aborted).to.be.true;
+
+    const next = await s3db.acquireLock('reports/daily', { owner: 'worker-2' });
+    await next.release();
+  });
+
+  it('should take over an expired lease', async function() {
+    const stale = await s3db.acquireLock('sync', { owner: 'crashed', ttlMs: 20 });
+    await new Promise(resolve => setTimeout(resolve, 40));
+
+    const lease = await s3db.acquireLock('sync', { owner: 'worker-2' });
+    expect(lease.owner).to.equal('worker-2');
+
+    // the old holder finds out it has lost the lock and can't release the new one
+    try {
+      await stale.renew();
+      expect.fail('Expected a LockError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(LockError);
+    }
+    expect(stale.signal.aborted).to.be.true;
+    expect(await stale.release()).to.be.false;
+    expect(await lease.release()).to.be.true;
+  });
+
+  it('should run functions under a lock one at a time', async function() {
+    const events = [];
+    const work = name => s3db.withLock('batch', async lease => {
+      events.push(`${name} start`);
+      await new Promise(resolve => setTimeout(resolve, 30));
+      events.push(`${name} end`);
+      return lease.owner;
+    }, { owner: name, waitMs: 2000, retryDelayMs: 10 });
+
+    expect(await Promise.all([work('a'), work('b')])).to.deep.equal(['a', 'b']);
+    expect(events).to.satisfy(list => list.join() === 'a start,a end,b start,b end' || list.join() === 'b start,b end,a start,a end');
+    expect(await s3db.exists('_locks/batch.json')).to.be.false;
+  });
+});
+
+describe('S3DB Counters and Sequences', function() {
+  const s3db = new S3DB(TEST_BUCKET, 'counters', { client: s3Client });
+
+  before(async function() {
+    await s3db.deletePrefix();
+  });
+
+  it('should increment without losing concurrent updates', async function() {
+    expect(await s3db.increment('stats', 'views')).to.equal(1);
+    expect(await s3db.increment('stats', 'views', 4)).to.equal(5);
+    expect(await s3db.increment('stats', 'likes', -1)).to.equal(-1);
+
+    const values = await Promise.all(Array.from({ length: 5 }, () => s3db.increment('stats', 'views')));
+    expect(values.sort((a, b) => a - b)).to.deep.equal([6, 7, 8, 9, 10]);
+    expect(await s3db.get('stats')).to.deep.equal({ views: 10, likes: -1 });
+  });
+
+  it('should refuse to increment a field that is not a number', async function() {
+    await s3db.put('profile', { name: 'John Doe' });
+    try {
+      await s3db.increment('profile', 'name');
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err.message).to.include('is not a number');
+    }
+    try {
+      await s3db.increment('profile', 'visits', 'one');
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err.message).to.include('Invalid increment');
+    }
+  });
+
+  it('should hand out unique IDs in blocks', async function() {
+    const first = s3db.sequence('orders', { blockSize: 3 });
+    const second = s3db.sequence('orders', { blockSize: 3 });
+
+    const fromFirst = await Promise.all([first.next(), first.next(), first.next(), first.next()]);
+    const fromSecond = [await second.next(), await second.next()];
+    expect(fromFirst).to.deep.equal([1, 2, 3, 4]);
+    expect(fromSecond).to.deep.equal([7, 8]);
+    expect(await first.next()).to.equal(5);
+    expect((await s3db.get('_sequences/orders')).value).to.equal(9);
+  });
+});
+
+describe('S3DB Update Strategies', function() {
+  const s3db = new S3DB(TEST_BUCKET, 'updates', { client: s3Client });
+  const user = { name: 'John Doe', address: { street: '1 Main St', city: 'Springfield' }, tags: ['a', 'b'] };
+
+  beforeEach(async function() {
+    await s3db.deletePrefix();
+    await s3db.put('U1', user);
+  });
+
+  it('should merge shallow, deep or as a JSON Merge Patch', async function() {
+    await s3db.update('U1', { address: { city: 'Paris' } }, { merge: 'deep' });
+    expect(await s3db.get('U1')).to.deep.equal({ ...user, address: { street: '1 Main St', city: 'Paris' } });
+
+    await s3db.update('U1', { address: { street: null }, tags: ['c'], name: null }, { merge: 'merge-patch' });
+    expect(await s3db.get('U1')).to.deep.equal({ address: { city: 'Paris' }, tags: ['c'] });
+
+    await s3db.update('U1', { address: { zip: '75001' } });
+    expect(await s3db.get('U1')).to.deep.equal({ address: { zip: '75001' }, tags: ['c'] });
+
+    try {
+      await s3db.update('U1', { name: 'Jane' }, { merge: 'sideways' });
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err.message).to.include('Invalid merge strategy');
+    }
+  });
+
+  it('should update with a function and upsert missing records', async function() {
+    await s3db.update('U1', old => ({ name: old.name.toUpperCase() }));
+    expect(await s3db.get('U1')).to.deep.equal({ name: 'JOHN DOE' });
+    await s3db.update('U1', old => { old.visits = 1; });
+    expect(await s3db.get('U1')).to.deep.equal({ name: 'JOHN DOE', visits: 1 });
+
+    try {
+      await s3db.update('U2', { name: 'Jane' });
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(NotFoundError);
+    }
+    await s3db.update('U2', { address: { city: 'Paris' } }, { merge: 'deep', upsert: true });
+    await s3db.update('U3', (old = { visits: 0 }) => ({ visits: old.visits + 1 }), { upsert: true });
+    expect(await s3db.get('U2')).to.deep.equal({ address: { city: 'Paris' } });
+    expect(await s3db.get('U3')).to.deep.equal({ visits: 1 });
+  });
+
+  it('should apply a JSON Patch', async function() {
+    await s3db.applyPatch('U1', [
+      { op: 'test', path: '/name', value: 'John Doe' },
+      { op: 'replace', path: '/address/city', value: 'Paris' },
+      { op: 'add', path: '/tags/-', value: 'c' },
+      { op: 'remove', path: '/tags/0' },
+      { op: 'copy', from: '/address/city', path: '/city' },
+      { op: 'move', from: '/name', path: '/full~1name' },
+    ]);
+    expect(await s3db.get('U1')).to.deep.equal({
+      'full/name': 'John Doe',
+      address: { street: '1 Main St', city: 'Paris' },
+      tags: ['b', 'c'],
+      city: 'Paris',
+    });
+  });
+
+  it('should replace the whole record with a JSON Patch', async function() {
+    await s3db.put('U4', { name: 'John Doe', tags: ['a'] });
+    await s3db.applyPatch('U4', [
+      { op: 'replace', path: '', value: { name: 'Jane Doe' } },
+      { op: 'add', path: '/plan', value: 'pro' },
+    ]);
+    expect(await s3db.get('U4')).to.deep.equal({ name: 'Jane Doe', plan: 'pro' });
+  });
+
+  it('should write nothing when a JSON Patch fails', async function() {
+    const { etag } = await s3db.get('U1', { withETag: true });
+    for (const operations of [
+      [{ op: 'replace', path: '/name', value: 'Jane' }, { op: 'test', path: '/address/city', value: 'Paris' }],
+      [{ op: 'remove', path: '/address/zip' }],
+      [{ op: 'add', path: '/tags/5', value: 'c' }],
+    ]) {
+      try {
+        await s3db.applyPatch('U1', operations);
+        expect.fail('Expected an exception, but none was thrown');
+      } catch (err) {
+        expect(err).to.be.instanceOf(PatchError);
+        expect(err.index).to.equal(operations.length - 1);
+      }
+    }
+    expect((await s3db.get('U1', { withETag: true })).etag).to.equal(etag);
+  });
+});
+
+describe('S3DB Expiry', function() {
+  const s3db = new S3DB(TEST_BUCKET, 'expiry', { client: s3Client });
+  const past = new Date(Date.now() - 1000);
+
+  beforeEach(async function() {
+    await s3db.deletePrefix();
+  });
+
+  it('should treat expired objects as missing', async function() {
+    await s3db.put('sessions/S1', { user: 'U1' }, { ttlMs: 60 * 1000 });
+    await s3db.put('sessions/S2', { user: 'U2' }, { expiresAt: past });
+    await s3db.putRaw('sessions/S3.txt', 'token', { expiresAt: past.toISOString() });
+
+    expect(await s3db.get('sessions/S1')).to.deep.equal({ user: 'U1' });
+    expect(await s3db.exists('sessions/S1')).to.be.true;
+    expect((await s3db.head('sessions/S1')).expiresAt.getTime()).to.be.greaterThan(Date.now());
+
+    try {
+      await s3db.get('sessions/S2');
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(NotFoundError);
+      expect(err.message).to.include('expired');
+    }
+    expect(await s3db.get('sessions/S2', { returnNullIfNotFound: true })).to.be.null;
+    expect(await s3db.getRaw('sessions/S3.txt', { returnNullIfNotFound: true })).to.be.null;
+    expect(await s3db.exists('sessions/S2')).to.be.false;
+    expect(await s3db.existsRaw('sessions/S3.txt')).to.be.false;
+    expect(await s3db.get('sessions/S2', { includeExpired: true })).to.deep.equal({ user: 'U2' });
+    expect((await s3db.head('sessions/S2')).expiresAt).to.deep.equal(past);
+  });
+
+  it('should keep the expiry on update and upsert over an expired record', async function() {
+    await s3db.put('S1', { user: 'U1' }, { ttlMs: 60 * 1000, metadata: { source: 'api' } });
+    const { expiresAt, metadata } = await s3db.head('S1');
+    expect(metadata).to.deep.equal({ source: 'api' });
+    await s3db.update('S1', { seen: true });
+    expect((await s3db.head('S1')).expiresAt).to.deep.equal(expiresAt);
+
+    await s3db.put('S2', { user: 'U2', seen: true }, { expiresAt: past });
+    try {
+      await s3db.update('S2', { seen: false });
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(NotFoundError);
+    }
+    await s3db.update('S2', { user: 'U3' }, { upsert: true, ttlMs: 60 * 1000 });
+    expect(await s3db.get('S2')).to.deep.equal({ user: 'U3' });
+  });
+
+  it('should sweep expired objects', async function() {
+    await s3db.put('sessions/S1', { user: 'U1' }, { ttlMs: 60 * 1000 });
+    await s3db.put('sessions/S2', { user: 'U2' }, { expiresAt: past });
+    await s3db.putRaw('sessions/nested/S3.txt', 'token', { expiresAt: past });
+    await s3db.put('users/U1', { name: 'John Doe' });
+    await s3db.put('users/U2', { name: 'Jane Doe' }, { expiresAt: past });
+
+    expect(await s3db.sweepExpired('sessions')).to.equal(2);
+    expect(await s3db.list('sessions')).to.deep.equal(['S1']);
+    expect(await s3db.sweepExpired()).to.equal(1);
+    expect(await s3db.list('users')).to.deep.equal(['U1']);
+  });
+
+  it('should generate a lifecycle rule and validate expiry options', async function() {
+    expect(s3db.lifecycleRule('sessions', { ttlMs: 36 * 60 * 60 * 1000 })).to.deep.equal({
+      ID: 's3db-expire-expiry/sessions/',
+      Status: 'Enabled',
+      Filter: { Prefix: 'expiry/sessions/' },
+      Expiration: { Days: 2 },
+    });
+
+    for (const options of [{ ttlMs: -1 }, { expiresAt: 'tomorrow' }, { ttlMs: 1000, expiresAt: past }]) {
+      try {
+        await s3db.put('S1', { user: 'U1' }, options);
+        expect.fail('Expected an exception, but none was thrown');
+      } catch (err) {
+        expect(err.message).to.match(/Invalid (ttlMs|expiresAt|expiry)/);
+      }
+    }
+  });
+});
+
+describe('S3DB Hooks and Change Log', function() {
+  beforeEach(async function() {
+    const s3db = new S3DB(TEST_BUCKET, 'hooks', { client: s3Client });
+    await s3db.deletePrefix();
+    await s3db.deletePrefix('_changes');
+  });
+
+  it('should let before hooks transform or veto writes and after hooks see the result', async function() {
+    const s3db = new S3DB(TEST_BUCKET, 'hooks', { client: s3Client });
+    const seen = [];
+    s3db.before('put', ({ data }) => ({ ...data, updatedBy: 'hook' }));
+    const removeVeto = s3db.before('*', ({ operation, key }) => {
+      if (key.startsWith('readonly/')) {
+        throw new Error(`${operation} of ${key} is not allowed`);
+      }
+    });
+    s3db.after('*', ({ operation, key, newKey, result }) => seen.push([operation, key, newKey, !!(result && result.etag)]));
+    const events = [];
+    s3db.on('change', ({ operation, s3Key }) => events.push(`${operation} ${s3Key}`));
+    s3db.on('copy', () => {
+      throw new Error('listeners must not fail the write');
+    });
+
+    await s3db.put('U1', { name: 'John Doe' });
+    await s3db.copy('U1', 'U2');
+    await s3db.move('U2', 'U3');
+    await s3db.delete('U3');
+    expect(await s3db.get('U1')).to.deep.equal({ name: 'John Doe', updatedBy: 'hook' });
+
+    try {
+      await s3db.putRaw('readonly/config.txt', 'x');
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err.message).to.equal('putRaw of readonly/config.txt is not allowed');
+    }
+    expect(await s3db.existsRaw('readonly/config.txt')).to.be.false;
+    removeVeto();
+    await s3db.putRaw('readonly/config.txt', 'x');
+
+    expect(seen).to.deep.equal([
+      ['put', 'U1', undefined, true],
+      ['copy', 'U1', 'U2', false],
+      ['move', 'U2', 'U3', false],
+      ['delete', 'U3', undefined, false],
+      ['putRaw', 'readonly/config.txt', undefined, true],
+    ]);
+    expect(events).to.deep.equal([
+      'put hooks/U1.json',
+      'copy hooks/U1.json',
+      'move hooks/U2.json',
+      'delete hooks/U3.json',
+      'putRaw hooks/readonly/config.txt',
+    ]);
+  });
+
+  it('should run update hooks with the old and new record and validate what hooks write', async function() {
+    const users = new S3DB(TEST_BUCKET, 'hooks', { client: s3Client }).collection('users', {
+      schema: { type: 'object', properties: { plan: { enum: ['free', 'pro'] } } },
+    });
+    const updates = [];
+    users.before('update', ({ data }) => ({ ...data, plan: data.plan.toLowerCase() }));
+    users.after('update', ({ previous, data }) => updates.push([previous, data]));
+
+    await users.put('U1', { plan: 'free' });
+    await users.update('U1', { plan: 'PRO' });
+    expect(await users.get('U1')).to.deep.equal({ plan: 'pro' });
+    expect(updates).to.deep.equal([[{ plan: 'free' }, { plan: 'pro' }]]);
+
+    users.before('put', () => ({ plan: 'enterprise' }));
+    try {
+      await users.put('U2', { plan: 'free' });
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(ValidationError);
+    }
+  });
+
+  it('should log changes and read them from a checkpoint', async function() {
+    const s3db = new S3DB(TEST_BUCKET, 'hooks', { client: s3Client, changeLog: true });
+    const users = s3db.collection('users');
+
+    await s3db.put('U1', { name: 'John Doe' });
+    await users.put('U2', { name: 'Jane Doe' });
+    await users.update('U2', { plan: 'pro' });
+    await s3db.withLock('nightly', async () => {});
+    await s3db.putRaw('notes.txt', 'not logged', { hooks: false });
+
+    const first = await s3db.changes({ limit: 2 });
+    expect(first.changes.map(({ operation, key, data }) => [operation, key, data])).to.deep.equal([
+      ['put', 'hooks/U1.json', { name: 'John Doe' }],
+      ['put', 'hooks/users/U2.json', { name: 'Jane Doe' }],
+    ]);
+    expect(first.changes[0].etag).to.be.a('string');
+
+    await s3db.delete('U1');
+    const rest = await s3db.changes({ since: first.checkpoint });
+    expect(rest.changes.map(({ operation, key }) => [operation, key])).to.deep.equal([
+      ['update', 'hooks/users/U2.json'],
+      ['delete', 'hooks/U1.json'],
+    ]);
+    expect(rest.changes[0].data).to.deep.equal({ name: 'Jane Doe', plan: 'pro' });
+    expect(await s3db.changes({ since: rest.checkpoint })).to.deep.equal({ changes: [], checkpoint: rest.checkpoint });
+
+    try {
+      await users.indexDb.changes();
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err.message).to.include('No change log');
+    }
+  });
+
+  it('should log the writes that skip hooks', async function() {
+    const client = new MemoryS3Client({ versioning: true });
+    const s3db = new S3DB(TEST_BUCKET, 'hooks', { client, changeLog: true });
+    const replica = new S3DB(TEST_BUCKET, 'hooks-replica', { client, changeLog: true });
+
+    const { versionId } = await s3db.put('U1', { name: 'John Doe' });
+    await s3db.put('U1', { name: 'Jane Doe' });
+    await s3db.restore('U1', versionId);
+    await s3db.putRaw('tmp/a.txt', 'a', { expiresAt: new Date(Date.now() - 1000) });
+    await s3db.putRaw('tmp/b.txt', 'b');
+    expect(await s3db.sweepExpired('tmp')).to.equal(1);
+    await s3db.transaction(async tx => {
+      tx.put('U2', { name: 'Joe Doe' });
+      tx.deleteRaw('tmp/b.txt');
+    });
+    expect((await s3db.sync(replica)).copied).to.deep.equal(['U1.json', 'U2.json']);
+    await s3db.deleteMany(['U2']);
+    expect(await s3db.deletePrefix()).to.equal(1);
+
+    const { changes } = await s3db.changes();
+    expect(changes.map(({ operation, key, keys }) => [operation, key || keys])).to.deep.equal([
+      ['put', 'hooks/U1.json'],
+      ['put', 'hooks/U1.json'],
+      ['restore', 'hooks/U1.json'],
+      ['putRaw', 'hooks/tmp/a.txt'],
+      ['putRaw', 'hooks/tmp/b.txt'],
+      ['sweepExpired', ['hooks/tmp/a.txt']],
+      ['put', 'hooks/U2.json'],
+      ['delete', 'hooks/tmp/b.txt'],
+      ['deleteMany', ['hooks/U2.json']],
+      ['deletePrefix', ['hooks/U1.json']],
+    ]);
+    expect(changes[2].versionId).to.be.a('string');
+    expect(changes[6].data).to.deep.equal({ name: 'Joe Doe' });
+    expect(changes[6].transactionId).to.be.a('string').and.equal(changes[7].transactionId);
+    expect((await replica.changes()).changes.map(({ operation, keys }) => [operation, keys])).to.deep.equal([
+      ['sync', ['hooks-replica/U1.json', 'hooks-replica/U2.json']],
+    ]);
+  });
+
+  it('should write one change at a time and not fail writes it can\'t log', async function() {
+    const s3db = new S3DB(TEST_BUCKET, 'hooks', { client: s3Client, changeLog: true });
+    const logDb = s3db.changeLog.db;
+    const put = logDb.put.bind(logDb);
+    const calls = [];
+    logDb.put = async (key, data, options) => {
+      calls.push(`start ${data.key}`);
+      // the first change takes longest to write
+      await new Promise(resolve => setTimeout(resolve, data.key === 'hooks/U1.json' ? 50 : 0));
+      const result = await put(key, data, options);
+      calls.push(`end ${data.key}`);
+      return result;
+    };
+
+    await Promise.all(['U1', 'U2', 'U3'].map(key => s3db.put(key, { key })));
+    expect(calls.filter((call, i) => call.startsWith(i % 2 ? 'end' : 'start'))).to.have.lengthOf(6);
+    const { changes } = await s3db.changes();
+    expect(changes.map(change => change.key)).to.deep.equal(calls.filter(call => call.startsWith('end')).map(call => call.slice(4)));
+
+    logDb.put = async () => {
+      throw new Error('log unavailable');
+    };
+    await s3db.put('U4', { key: 'U4' });
+    expect(await s3db.get('U4')).to.deep.equal({ key: 'U4' });
+    expect((await s3db.changes()).changes).to.have.lengthOf(3);
+  });
+});
+
+describe('s3db CLI', function() {
+  const s3db = new S3DB(TEST_BUCKET, 'cli', { client: s3Client });
+
+  // Runs the command line, resolving to { code, stdout, stderr }
+  async function cli(args, { stdin = '', env = {} } = {}) {
+    const output = { stdout: '', stderr: '' };
+    const capture = name => new Writable({
+      write(chunk, encoding, callback) {
+        output[name] += chunk.toString();
+        callback();
+      },
+    });
+    const code = await runCli(args, {
+      stdin: Readable.from([Buffer.from(stdin)]),
+      stdout: capture('stdout'),
+      stderr: capture('stderr'),
+      env: { S3DB_BUCKET: TEST_BUCKET, LOG_LEVEL: process.env.LOG_LEVEL || 'info', ...env },
+      client: s3Client,
+    });
+    return { code, ...output };
+  }
+
+  before(async function() {
+    await s3db.deletePrefix();
+  });
+
+  it('should put, get, list, copy, move and remove records', async function() {
+    expect(await cli(['-p', 'cli', 'put', 'users/U1', '-'], { stdin: '{"name":"John Doe"}' })).to.deep.include({ code: 0 });
+    expect(await s3db.get('users/U1')).to.deep.equal({ name: 'John Doe' });
+    expect(await cli(['get', 'users/U1'], { env: { S3DB_PREFIX: 'cli' } })).to.deep.equal({
+      code: 0,
+      stdout: '{\n  "name": "John Doe"\n}\n',
+      stderr: '',
+    });
+
+    expect((await cli(['-p', 'cli', 'cp', 'users/U1', 'users/U2'])).code).to.equal(0);
+    expect((await cli(['-p', 'cli', 'mv', 'users/U2', 'users/U3'])).code).to.equal(0);
+    expect((await cli(['-p', 'cli', 'ls', 'users'])).stdout).to.equal('U1\nU3\n');
+    expect(await cli(['-p', 'cli', 'exists', 'users/U3'])).to.deep.include({ code: 0, stdout: 'true\n' });
+    expect((await cli(['-p', 'cli', 'rm', 'users/U3'])).code).to.equal(0);
+    expect(await cli(['-p', 'cli', 'exists', 'users/U3'])).to.deep.include({ code: 1, stdout: 'false\n' });
+
+    expect((await cli(['-p', 'cli', '--raw', 'put', 'notes.txt', '-'], { stdin: 'hello' })).code).to.equal(0);
+    expect((await cli(['-p', 'cli', '--raw', 'get', 'notes.txt'])).stdout).to.equal('hello');
+  });
+
+  it('should edit a record in $EDITOR and write it back', async function() {
+    await s3db.put('users/U1', { name: 'John Doe', plan: 'free' });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 's3db-test-'));
+    const editor = path.join(dir, 'editor.js');
+    fs.writeFileSync(editor, `
+      const fs = require('fs');
+      const file = process.argv[2];
+      const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      fs.writeFileSync(file, JSON.stringify({ ...data, plan: 'pro' }));
+    `);
+    try {
+      const result = await cli(['-p', 'cli', 'edit', 'users/U1'], { env: { EDITOR: `"${process.execPath}" "${editor}"` } });
+      expect(result.code).to.equal(0);
+      expect(await s3db.get('users/U1')).to.deep.equal({ name: 'John Doe', plan: 'pro' });
+
+      const failed = await cli(['-p', 'cli', 'edit', 'users/U1'], { env: { EDITOR: 'false' } });
+      expect(failed.code).to.equal(1);
+      expect(failed.stderr).to.include('was not changed');
+
+      // the file is named after the key, which must not reach the shell
+      const key = 'users/x$(touch s3db-injected)`touch s3db-injected`';
+      await s3db.put(key, { name: 'Jane Doe' });
+      expect((await cli(['-p', 'cli', 'edit', key], { env: { EDITOR: `"${process.execPath}" "${editor}"` } })).code).to.equal(0);
+      expect(await s3db.get(key)).to.deep.equal({ name: 'Jane Doe', plan: 'pro' });
+      expect(fs.existsSync('s3db-injected')).to.be.false;
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+      fs.rmSync('s3db-injected', { force: true });
+    }
+  });
+
+  it('should report errors and bad usage', async function() {
+    const missing = await cli(['-p', 'cli', 'get', 'users/nobody']);
+    expect(missing.code).to.equal(1);
+    expect(missing.stderr).to.match(/^s3db: Object not found/);
+
+    const invalid = await cli(['-p', 'cli', 'put', 'users/U9', '-'], { stdin: 'not json' });
+    expect(invalid.code).to.equal(1);
+    expect(invalid.stderr).to.include('stdin is not valid JSON');
+
+    expect((await cli(['get'])).code).to.equal(2);
+    expect((await cli(['frobnicate', 'U1'])).code).to.equal(2);
+    expect((await cli(['get', 'U1'], { env: { S3DB_BUCKET: '' } })).stderr).to.include('no bucket');
+    expect(await cli(['--help'])).to.deep.include({ code: 0 });
+  });
+});
+
+describe('S3DB Export, Import and Sync', function() {
+  // Cross-bucket copies need a second bucket, the in-memory backend creates
+  // one on first use. Against S3 the tests stay within the test bucket.
+  const OTHER_BUCKET = USE_S3 ? TEST_BUCKET : `${TEST_BUCKET}-copy`;
+  const s3db = new S3DB(TEST_BUCKET, 'transfer/source', { client: s3Client });
+  const restored = new S3DB(TEST_BUCKET, 'transfer/restored', { client: s3Client });
+  const replica = new S3DB(OTHER_BUCKET, 'transfer/replica', { client: s3Client });
+
+  // Collects what is written to a stream as a string
+  function collect() {
+    const stream = new Writable({
+      write(chunk, encoding, callback) {
+        stream.output += chunk.toString();
+        callback();
+      },
+    });
+    stream.output = '';
+    return stream;
+  }
+
+  beforeEach(async function() {
+    await s3db.deletePrefix();
+    await restored.deletePrefix();
+    await replica.deletePrefix();
+    await s3db.put('users/U1', { name: 'John Doe' }, { metadata: { team: 'blue' } });
+    await s3db.put('users/U2', { name: 'Jane Doe' });
+    await s3db.putRaw('files/logo.png', Buffer.from([0x89, 0x50, 0x4e, 0x47]), { contentType: 'image/png' });
+  });
+
+  it('should export to a directory and import it back', async function() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 's3db-test-'));
+    try {
+      expect(await s3db.exportTo(dir)).to.equal(3);
+      expect(JSON.parse(fs.readFileSync(path.join(dir, 'users', 'U1.json'), 'utf-8'))).to.deep.equal({ name: 'John Doe' });
+      expect(fs.readFileSync(path.join(dir, 'files', 'logo.png'))).to.deep.equal(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+
+      expect(await restored.importFrom(dir)).to.deep.equal({ imported: 3, skipped: 0 });
+      expect(await restored.get('users/U2')).to.deep.equal({ name: 'Jane Doe' });
+      expect((await restored.head('users/U2')).contentType).to.equal('application/json');
+      expect(await restored.getRaw('files/logo.png')).to.deep.equal(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should export to and import from ndjson, keeping metadata', async function() {
+    const stream = collect();
+    expect(await s3db.exportTo(stream, 'users')).to.equal(2);
+    const lines = stream.output.trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => line.key)).to.deep.equal(['users/U1.json', 'users/U2.json']);
+    expect(lines[0]).to.deep.include({ data: { name: 'John Doe' }, contentType: 'application/json', metadata: { team: 'blue' } });
+
+    const all = collect();
+    await s3db.exportTo(all);
+    expect(await restored.importFrom(Readable.from([all.output]))).to.deep.equal({ imported: 3, skipped: 0 });
+    expect(await restored.get('users/U1', { withMetadata: true })).to.deep.include({
+      data: { name: 'John Doe' },
+      metadata: { team: 'blue' },
+    });
+    expect((await restored.headRaw('files/logo.png')).contentType).to.equal('image/png');
+  });
+
+  it('should skip existing keys on import with overwrite: false', async function() {
+    const stream = collect();
+    await s3db.exportTo(stream, 'users');
+    await restored.put('users/U1', { name: 'Already here' });
+
+    expect(await restored.importFrom(Readable.from([stream.output]), { overwrite: false })).to.deep.equal({ imported: 1, skipped: 1 });
+    expect(await restored.get('users/U1')).to.deep.equal({ name: 'Already here' });
+
+    try {
+      await restored.importFrom(Readable.from(['not json\n']));
+      expect.fail('Expected an exception, but none was thrown');
+    } catch (err) {
+      expect(err.message).to.match(/^Invalid import line 1/);
+    }
+  });
+
+  it('should sync only what changed to another bucket', async function() {
+    expect(await s3db.sync(replica, { dryRun: true })).to.deep.equal({
+      copied: ['files/logo.png', 'users/U1.json', 'users/U2.json'],
+      deleted: [],
+      unchanged: 0,
+    });
+    expect(await replica.list('')).to.deep.equal([]);
+
+    expect((await s3db.sync(replica)).copied).to.have.lengthOf(3);
+    expect(await replica.get('users/U1')).to.deep.equal({ name: 'John Doe' });
+
+    // S3 only keeps last-modified times to the second
+    await new Promise(resolve => setTimeout(resolve, USE_S3 ? 1100 : 10));
+    await s3db.put('users/U2', { name: 'Jane Smith' });
+    await replica.put('users/U9', { name: 'Stale' });
+    expect(await s3db.sync(replica, { subPath: 'users', deleteExtraneous: true })).to.deep.equal({
+      copied: ['users/U2.json'],
+      deleted: ['users/U9.json'],
+      unchanged: 1,
+    });
+    expect(await replica.get('users/U2')).to.deep.equal({ name: 'Jane Smith' });
+    expect(await replica.exists('users/U9')).to.be.false;
+  });
+
+  it('should leave bookkeeping out of exports, imports and syncs', async function() {
+    await s3db.sequence('orders').next();
+    const replicaLease = await replica.acquireLock('job');
+
+    const stream = collect();
+    expect(await s3db.exportTo(stream)).to.equal(3);
+    expect(stream.output).to.not.include('_sequences');
+
+    const result = await s3db.sync(replica, { deleteExtraneous: true });
+    expect(result.copied).to.have.lengthOf(3);
+    expect(result.deleted).to.deep.equal([]);
+    expect(await replica.list('_locks')).to.deep.equal(['job']);
+    expect(await replica.list('_sequences')).to.deep.equal([]);
+    await replicaLease.release();
+
+    const line = JSON.stringify({ key: '_sequences/orders.json', data: { value: 0 } });
+    expect(await restored.importFrom(Readable.from([`${line}\n`]))).to.deep.equal({ imported: 0, skipped: 1 });
+    await s3db.deletePrefix('_sequences');
+  });
+
+  it('should export records of other serializers as raw bodies', async function() {
+    const logs = new S3DB(TEST_BUCKET, 'transfer/logs', { client: s3Client, serializer: 'ndjson' });
+    await logs.deletePrefix();
+    await logs.put('day1', [{ event: 'login' }]);
+
+    const stream = collect();
+    await logs.exportTo(stream);
+    const [entry] = stream.output.trim().split('\n').map(line => JSON.parse(line));
+    expect(entry).to.include({ key: 'day1.ndjson', contentType: 'application/x-ndjson' });
+    expect(entry).to.not.have.property('data');
+
+    await restored.importFrom(Readable.from([stream.output]));
+    expect(await restored.getString('day1.ndjson')).to.equal('{"event":"login"}\n');
+  });
+
+  it('should copy between buckets with copyFullyQualified', async function() {
+    await s3db.copyFullyQualified('transfer/source/users/U1.json', 'transfer/replica/users/U1.json', { destinationBucket: OTHER_BUCKET });
+    expect(await replica.get('users/U1')).to.deep.equal({ name: 'John Doe' });
+
+    await replica.moveFullyQualified('transfer/source/users/U2.json', 'transfer/replica/users/U2.json', { sourceBucket: TEST_BUCKET });
+    expect(await replica.get('users/U2')).to.deep.equal({ name: 'Jane Doe' });
+    expect(await s3db.exists('users/U2')).to.be.false;
+
+    try {
+      await s3db.copyFullyQualified('transfer/source/users/nobody.json', 'x.json', { destinationBucket: OTHER_BUCKET });
+      expect.fail('Expected a NotFoundError, but none was thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(NotFoundError);
+      expect(err.bucket).to.equal(TEST_BUCKET);
+    }
+  });
+});
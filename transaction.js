@@ -0,0 +1,403 @@
+const crypto = require('crypto');
+const path = require('path');
+const { CopyObjectCommand, DeleteObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const logger = require('./logger');
+const { S3DBError, ConflictError, NotFoundError } = require('./errors');
+const { TRANSACTION_PREFIX, assertNotReserved } = require('./reserved');
+
+// recover() leaves younger manifests alone, they may belong to transactions
+// that are still running
+const DEFAULT_RECOVER_AFTER_MS = 5 * 60 * 1000;
+
+// A Transaction stages puts and deletes across several keys and applies
+// them all or none. S3 has no multi-object transactions, so this works like
+// a write-ahead log:
+// 1. every key read or written is checked against what is there now, a
+//    change since it was read aborts the transaction before anything is
+//    written
+// 2. a manifest listing the operations is written in state 'pending', then
+//    the new objects are staged and the current ones backed up beside it
+// 3. the manifest moves to 'applying' and the operations are applied with
+//    conditional writes, the manifest marking each one applied as it goes.
+//    If one fails (e.g. someone else wrote the key in the meantime) the
+//    manifest moves to 'rollingBack' and the keys already applied are
+//    restored from their backups
+// 4. the manifest moves to 'committed' and is removed along with the staged
+//    objects and backups
+// A process that dies part way leaves its manifest behind, recover() then
+// finishes the job: pending and rolling back transactions are rolled back,
+// applying ones are rolled forward. Rolling either way is conditional on
+// the ETags the transaction expected or wrote, so a key someone else has
+// changed since is left alone rather than overwritten. Readers can see a transaction half
+// applied while it runs, it is atomic in outcome rather than isolated.
+class Transaction {
+  constructor(db) {
+    this.db = db;
+    this.id = crypto.randomUUID();
+    this.operations = [];
+    // S3 key => the ETag read, or null if the object didn't exist
+    this.reads = new Map();
+    this.closed = false;
+  }
+
+  // Reads a record and remembers its ETag, so the transaction is aborted
+  // if the record has changed by the time it commits
+  async get(key, options = {}) {
+    const s3Key = this.db.fullyQualifiedKey(key);
+    let result;
+    try {
+      result = await this.db.get(key, { ...options, withETag: true, withMetadata: false, cache: false });
+    } catch (err) {
+      if (err instanceof NotFoundError) {
+        this.reads.set(s3Key, null);
+      }
+      throw err;
+    }
+    this.reads.set(s3Key, result === null ? null : result.etag);
+    return result === null ? null : result.data;
+  }
+
+  // The write methods only stage the operation, nothing is written until
+  // the transaction function returns. They accept the options of their
+  // S3DB namesakes, ifMatch and ifNoneMatch included.
+  put(key, data, options = {}) {
+    this._stage({ type: 'put', key, s3Key: this.db.fullyQualifiedKey(key), data, options });
+  }
+
+  putRaw(key, data, options = {}) {
+    if (typeof data !== 'string' && !(data instanceof Uint8Array)) {
+      throw new Error(`Invalid data for key ${key}: transactions can only write strings and Buffers.`);
+    }
+    this._stage({ type: 'putRaw', key, s3Key: path.join(this.db.prefix, key), data, options });
+  }
+
+  delete(key, options = {}) {
+    this._stage({ type: 'delete', key, s3Key: this.db.fullyQualifiedKey(key), options });
+  }
+
+  deleteRaw(key, options = {}) {
+    this._stage({ type: 'delete', key, s3Key: path.join(this.db.prefix, key), options });
+  }
+
+  _stage(operation) {
+    if (this.closed) {
+      throw new Error(`Transaction ${this.id} has already finished.`);
+    }
+    assertNotReserved(operation.key);
+    if (this.operations.some(({ s3Key }) => s3Key === operation.s3Key)) {
+      throw new Error(`Key ${operation.s3Key} is written more than once in transaction ${this.id}.`);
+    }
+    this.operations.push(operation);
+  }
+
+  // Runs fn(tx) and commits what it staged, resolves to what fn resolved to.
+  // If fn throws nothing is written.
+  async run(fn) {
+    let result;
+    try {
+      result = await fn(this);
+    } finally {
+      this.closed = true;
+    }
+    if (this.operations.length) {
+      await this.commit();
+    }
+    return result;
+  }
+
+  async commit() {
+    const db = this.db;
+    logger.trace(`S3DB: Committing transaction ${this.id} with ${this.operations.length} operations in s3://${db.bucketName}/${db.prefix}`);
+
+    await this.checkPreconditions();
+    const finish = await db._prepareTransaction(this.operations);
+    for (const [i, operation] of this.operations.entries()) {
+      operation.staged = path.join(db.prefix, TRANSACTION_PREFIX, this.id, String(i));
+      operation.backup = operation.expectedETag ? `${operation.staged}.backup` : null;
+      if (operation.type !== 'delete') {
+        const options = { ...operation.options, ifMatch: undefined, ifNoneMatch: undefined };
+        operation.params = operation.type === 'put'
+          ? await db._recordParams(operation.key, operation.data, options)
+          : await db._rawParams(operation.key, operation.data, options);
+      }
+    }
+
+    await this.writeManifest('pending');
+    try {
+      for (const operation of this.operations) {
+        if (operation.params) {
+          await db._upload({ ...operation.params, Key: operation.staged });
+        }
+        if (operation.backup) {
+          await copyObject(db, operation.s3Key, operation.backup, { CopySourceIfMatch: operation.expectedETag });
+        }
+      }
+    } catch (err) {
+      logger.trace(`S3DB: Transaction ${this.id} failed while staging, aborting: ${err.message}`);
+      await cleanUp(db, this.id);
+      throw err;
+    }
+
+    await this.writeManifest('applying');
+    const applied = [];
+    try {
+      for (const operation of this.operations) {
+        await this.apply(operation);
+        applied.push(operation);
+        await this.writeManifest('applying');
+      }
+    } catch (err) {
+      logger.warn(`S3DB: Transaction ${this.id} failed, rolling back: ${err.message}`);
+      try {
+        await this.writeManifest('rollingBack');
+        await rollBack(db, manifestOperations(applied));
+        await cleanUp(db, this.id);
+      } catch (rollbackErr) {
+        throw new S3DBError(`Transaction ${this.id} failed and could not be rolled back, run recover() to finish rolling it back: ${rollbackErr.message}`, {
+          bucket: db.bucketName,
+          key: this.manifestKey(),
+          cause: err,
+        });
+      }
+      throw err;
+    }
+
+    await this.writeManifest('committed');
+    try {
+      await cleanUp(db, this.id);
+      await finish();
+    } catch (err) {
+      // the transaction is committed, recover() removes what is left over
+      // and findBy() skips stale index pointers
+      logger.warn(`S3DB: Failed to clean up after transaction ${this.id}: ${err.message}`);
+    }
+    for (const { type, s3Key, data, options, result } of this.operations) {
+      await db._logChange({ operation: type, s3Key, data, result, transactionId: this.id }, options);
+    }
+    logger.trace(`S3DB: Committed transaction ${this.id}`);
+  }
+
+  // Works out the ETag each key is expected to have and checks it against
+  // what was read and any ifMatch / ifNoneMatch options
+  async checkPreconditions() {
+    const current = new Map();
+    const keys = new Set([...this.operations.map(({ s3Key }) => s3Key), ...this.reads.keys()]);
+    for (const s3Key of keys) {
+      const info = await this.db.headFullyQualified(s3Key, { returnNullIfNotFound: true });
+      current.set(s3Key, info ? info.etag : null);
+    }
+
+    const conflict = (s3Key, reason) => new ConflictError(`Transaction ${this.id} aborted, s3://${this.db.bucketName}/${s3Key} ${reason}`, {
+      bucket: this.db.bucketName,
+      key: s3Key,
+    });
+    for (const [s3Key, etag] of this.reads) {
+      if (current.get(s3Key) !== etag) {
+        throw conflict(s3Key, 'has changed since it was read');
+      }
+    }
+    for (const operation of this.operations) {
+      const { ifMatch, ifNoneMatch } = operation.options;
+      operation.expectedETag = current.get(operation.s3Key);
+      if (ifMatch && ifMatch !== operation.expectedETag) {
+        throw conflict(operation.s3Key, `does not match ETag ${ifMatch}`);
+      }
+      if (ifNoneMatch === '*' && operation.expectedETag !== null) {
+        throw conflict(operation.s3Key, 'already exists');
+      }
+    }
+  }
+
+  // Writes, or deletes, the key with a condition on the ETag it had when
+  // the transaction started
+  async apply(operation) {
+    const db = this.db;
+    const condition = operation.expectedETag ? { IfMatch: operation.expectedETag } : { IfNoneMatch: '*' };
+    if (operation.type !== 'delete') {
+      operation.result = await db._upload({ ...operation.params, ...condition });
+    } else if (operation.expectedETag) {
+      try {
+        await db._send(new DeleteObjectCommand({ Bucket: db.bucketName, Key: operation.s3Key, ...condition }), operation.s3Key);
+      } finally {
+        await db._invalidate(operation.s3Key);
+      }
+    }
+    operation.applied = true;
+  }
+
+  async writeManifest(state) {
+    const manifest = {
+      id: this.id,
+      state,
+      updatedAt: new Date().toISOString(),
+      operations: manifestOperations(this.operations),
+    };
+    const condition = this.manifestETag ? { ifMatch: this.manifestETag } : { ifNoneMatch: '*' };
+    const params = await this.db._rawParams(path.join(TRANSACTION_PREFIX, `${this.id}.json`), JSON.stringify(manifest), {
+      contentType: 'application/json',
+      ...condition,
+    });
+    this.manifestETag = (await this.db._upload(params)).etag;
+  }
+
+  manifestKey() {
+    return path.join(this.db.prefix, TRANSACTION_PREFIX, `${this.id}.json`);
+  }
+}
+
+// Finishes transactions whose process died part way, see Transaction. Only
+// manifests older than olderThanMs are looked at. Resolves to the number of
+// transactions rolled forward and back.
+async function recoverTransactions(db, options = {}) {
+  const olderThanMs = options.olderThanMs !== undefined ? options.olderThanMs : DEFAULT_RECOVER_AFTER_MS;
+  const manifestPrefix = path.join(db.prefix, TRANSACTION_PREFIX) + '/';
+  const result = { committed: 0, rolledBack: 0 };
+
+  const params = { Bucket: db.bucketName, Prefix: manifestPrefix, Delimiter: '/' };
+  for (;;) {
+    const response = await db._send(new ListObjectsV2Command(params), manifestPrefix);
+    for (const { Key, LastModified } of response.Contents || []) {
+      if (!Key.endsWith('.json') || Date.now() - LastModified.getTime() < olderThanMs) {
+        continue;
+      }
+      const body = await db.getRaw(path.join(TRANSACTION_PREFIX, path.basename(Key)), { returnNullIfNotFound: true, cache: false });
+      if (body === null) {
+        continue;
+      }
+      const manifest = JSON.parse(body.toString('utf-8'));
+      logger.trace(`S3DB: Recovering transaction ${manifest.id} in state ${manifest.state}`);
+
+      if (manifest.state === 'applying') {
+        const applied = await rollForward(db, manifest.operations);
+        for (const { type, key } of applied) {
+          await db._logChange({ operation: type, s3Key: key, transactionId: manifest.id });
+        }
+      } else if (manifest.state === 'rollingBack') {
+        await rollBack(db, manifest.operations);
+      }
+      await cleanUp(db, manifest.id);
+      if (manifest.state === 'applying' || manifest.state === 'committed') {
+        result.committed++;
+      } else {
+        result.rolledBack++;
+      }
+    }
+
+    if (!response.IsTruncated) {
+      break;
+    }
+    params.ContinuationToken = response.NextContinuationToken;
+  }
+
+  logger.trace(`S3DB: Recovered transactions in s3://${db.bucketName}/${manifestPrefix}: ${result.committed} committed, ${result.rolledBack} rolled back`);
+  return result;
+}
+
+// Returns the operations as recorded in the manifest, the form
+// rollForward() and rollBack() work with. etag is the ETag a put wrote,
+// once it has been applied.
+function manifestOperations(operations) {
+  return operations.map(({ type, s3Key, expectedETag, staged, backup, applied, result }) => ({
+    type: type === 'delete' ? 'delete' : 'put',
+    key: s3Key,
+    expectedETag,
+    staged,
+    backup,
+    applied: !!applied,
+    etag: result ? result.etag : null,
+  }));
+}
+
+// Applies the operations not yet marked applied, each only if its key still
+// has the ETag the transaction expected. One that doesn't was either applied
+// just before the process died or has been changed by someone else since,
+// and is left alone either way. Resolves to the operations in place.
+async function rollForward(db, operations) {
+  const applied = [];
+  for (const operation of operations) {
+    if (!operation.applied) {
+      const condition = operation.expectedETag ? { IfMatch: operation.expectedETag } : { IfNoneMatch: '*' };
+      const done = await unlessChanged(db, operation, async () => {
+        if (operation.type === 'put') {
+          await copyObject(db, operation.staged, operation.key, condition);
+        } else if (operation.expectedETag) {
+          await deleteObject(db, operation.key, condition);
+        }
+      });
+      if (!done) {
+        continue;
+      }
+    }
+    applied.push(operation);
+  }
+  return applied;
+}
+
+// Puts back what was there before the operations marked applied, restoring
+// the backup or removing a key that didn't exist, each only if its key is
+// still as the transaction left it
+async function rollBack(db, operations) {
+  for (const operation of operations.filter(({ applied }) => applied)) {
+    // a put left the ETag it wrote, a delete left no object
+    const condition = operation.type === 'put' ? { IfMatch: operation.etag } : { IfNoneMatch: '*' };
+    await unlessChanged(db, operation, async () => {
+      if (operation.backup) {
+        await copyObject(db, operation.backup, operation.key, condition);
+      } else if (operation.type === 'put') {
+        await deleteObject(db, operation.key, condition);
+      }
+    });
+  }
+}
+
+// Runs a conditional write for an operation, resolving to false rather
+// than throwing when its condition doesn't hold
+async function unlessChanged(db, operation, write) {
+  try {
+    await write();
+    return true;
+  } catch (err) {
+    if (!(err instanceof ConflictError) && !(err instanceof NotFoundError && err.key === operation.key)) {
+      throw err;
+    }
+    logger.warn(`S3DB: Leaving s3://${db.bucketName}/${operation.key} alone, it has changed since the transaction wrote it`);
+    return false;
+  }
+}
+
+// Removes a transaction's staged objects and backups, then its manifest
+async function cleanUp(db, id) {
+  await db.deletePrefix(path.join(TRANSACTION_PREFIX, id));
+  await db._deleteRaw(path.join(TRANSACTION_PREFIX, `${id}.json`));
+}
+
+async function deleteObject(db, s3Key, conditions = {}) {
+  try {
+    await db._send(new DeleteObjectCommand({ Bucket: db.bucketName, Key: s3Key, ...conditions }), s3Key);
+  } finally {
+    await db._invalidate(s3Key);
+  }
+}
+
+async function copyObject(db, source, destination, conditions = {}) {
+  const params = {
+    Bucket: db.bucketName,
+    CopySource: `${db.bucketName}/${source}`,
+    Key: destination,
+    ...conditions,
+  };
+  if (db.kmsKeyId) {
+    params.ServerSideEncryption = 'aws:kms';
+    params.SSEKMSKeyId = db.kmsKeyId;
+  }
+  try {
+    await db._send(new CopyObjectCommand(params), destination);
+  } finally {
+    await db._invalidate(destination);
+  }
+}
+
+module.exports = {
+  Transaction,
+  recoverTransactions,
+};
@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const logger = require('./logger');
+const { NotFoundError, ConflictError } = require('./errors');
+const { mapWithConcurrency, chunk } = require('./pool');
+const { isReserved } = require('./reserved');
+
+// Moving whole prefixes in and out of S3DB. Keys are always relative to the
+// instance's prefix and include their extension, so an export can be
+// imported under another prefix or into another bucket.
+//
+// An ndjson export has one line per object:
+// { key, contentType, cacheControl, metadata, expiresAt, data | body }
+// where records of an instance using the json serializer are stored as
+// `data` and anything else base64 encoded as `body`. Records keep the form
+// they are stored in, i.e. without the instance's reviver applied.
+//
+// S3DB's own bookkeeping under the reserved prefixes (see reserved.js) is
+// never exported, imported or synced: copying another instance's sequence
+// counters, locks or change log would corrupt the target's.
+
+const IMPORT_BATCH_SIZE = 100;
+
+async function exportTo(db, target, subPath = '', options = {}) {
+  const toDirectory = typeof target === 'string';
+  if (!toDirectory && (!target || typeof target.write !== 'function')) {
+    throw new Error(`Invalid export target: ${target}. Target must be a directory or a writable stream.`);
+  }
+
+  let exported = 0;
+  for await (const page of db._listObjectPages(subPath, options)) {
+    const objects = await mapWithConcurrency(page.filter(({ key }) => !isReserved(key)), options.concurrency || db.defaultConcurrency(), async ({ key }) => {
+      // deleted or expired since it was listed
+      const object = await db.getRaw(key, { ...options, withMetadata: true, returnNullIfNotFound: true, cache: false });
+      return object && { key, ...object };
+    });
+
+    for (const object of objects.filter(Boolean)) {
+      if (toDirectory) {
+        const file = filePath(target, object.key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, object.body);
+      } else {
+        await writeLine(target, JSON.stringify(exportEntry(db, object)));
+      }
+      exported++;
+    }
+  }
+
+  logger.trace(`S3DB: Exported ${exported} objects from: s3://${db.bucketName}/${db.prefix}`);
+  return exported;
+}
+
+async function importFrom(db, source, options = {}) {
+  let entries;
+  if (typeof source === 'string') {
+    entries = directoryEntries(db, source);
+  } else if (source && typeof source[Symbol.asyncIterator] === 'function') {
+    entries = ndjsonEntries(source);
+  } else {
+    throw new Error(`Invalid import source: ${source}. Source must be a directory or a readable stream.`);
+  }
+
+  const result = { imported: 0, skipped: 0 };
+  const importBatch = async batch => {
+    await mapWithConcurrency(batch, options.concurrency || db.defaultConcurrency(), async ({ key, body, ...objectOptions }) => {
+      try {
+        await db.putRaw(key, body, {
+          ...options,
+          ...objectOptions,
+          ifNoneMatch: options.overwrite === false ? '*' : undefined,
+        });
+        result.imported++;
+      } catch (err) {
+        if (!(err instanceof ConflictError) || options.overwrite !== false) {
+          throw err;
+        }
+        result.skipped++;
+      }
+    });
+  };
+
+  // a batch at a time, so a large export isn't held in memory
+  let batch = [];
+  for await (const entry of entries) {
+    const imported = importEntry(entry);
+    if (isReserved(imported.key)) {
+      logger.warn(`S3DB: Skipping ${imported.key} on import, it is under a reserved prefix`);
+      result.skipped++;
+      continue;
+    }
+    batch.push(imported);
+    if (batch.length >= IMPORT_BATCH_SIZE) {
+      await importBatch(batch);
+      batch = [];
+    }
+  }
+  await importBatch(batch);
+
+  logger.trace(`S3DB: Imported ${result.imported} objects to: s3://${db.bucketName}/${db.prefix}, skipped ${result.skipped}`);
+  return result;
+}
+
+// An object is copied when the target doesn't have it, or has a different
+// ETag and was last modified before the source. The last check stops
+// objects whose ETags never match, e.g. with SSE-KMS or multipart uploads,
+// from being copied again on every sync, but it also means a change made
+// to the target after the source last changed is left alone.
+async function sync(db, target, options = {}) {
+  if (!target || typeof target.copyFullyQualified !== 'function') {
+    throw new Error(`Invalid sync target: ${target}. Target must be an S3DB instance.`);
+  }
+  const { subPath = '', deleteExtraneous = false, dryRun = false, concurrency, ...requestOptions } = options;
+
+  const sourceObjects = await listAll(db, subPath, requestOptions);
+  const targetObjects = new Map((await listAll(target, subPath, requestOptions)).map(object => [object.key, object]));
+
+  const toCopy = sourceObjects.filter(object => {
+    const existing = targetObjects.get(object.key);
+    return !existing || (existing.etag !== object.etag && existing.lastModified < object.lastModified);
+  });
+  const sourceKeys = new Set(sourceObjects.map(object => object.key));
+  const toDelete = deleteExtraneous ? [...targetObjects.keys()].filter(key => !sourceKeys.has(key)) : [];
+
+  const result = {
+    copied: toCopy.map(object => object.key),
+    deleted: toDelete,
+    unchanged: sourceObjects.length - toCopy.length,
+  };
+  if (dryRun) {
+    logger.trace(`S3DB: Sync dry run would copy ${result.copied.length} and delete ${result.deleted.length} objects`);
+    return result;
+  }
+
+  // a batch at a time, each logged to the target's change log as one entry
+  result.copied = [];
+  for (const objects of chunk(toCopy, IMPORT_BATCH_SIZE)) {
+    const copied = await mapWithConcurrency(objects, concurrency || db.defaultConcurrency(), async object => {
+      try {
+        await target.copyFullyQualified(object.s3Key, path.posix.join(target.prefix, object.key), {
+          ...requestOptions,
+          sourceBucket: db.bucketName,
+        });
+        return true;
+      } catch (err) {
+        // deleted or expired since it was listed
+        if (err instanceof NotFoundError && err.key === object.s3Key) {
+          return false;
+        }
+        throw err;
+      }
+    });
+    const keys = objects.filter((object, i) => copied[i]).map(object => object.key);
+    if (keys.length) {
+      await target._logChange({ operation: 'sync', s3Keys: keys.map(key => path.posix.join(target.prefix, key)) }, requestOptions);
+    }
+    result.copied.push(...keys);
+  }
+  for (const keys of chunk(toDelete, IMPORT_BATCH_SIZE)) {
+    await mapWithConcurrency(keys, concurrency || db.defaultConcurrency(), key => target.deleteRaw(key, requestOptions));
+  }
+
+  logger.trace(`S3DB: Synced s3://${db.bucketName}/${db.prefix} to s3://${target.bucketName}/${target.prefix}: ${result.copied.length} copied, ${result.deleted.length} deleted`);
+  return result;
+}
+
+async function listAll(db, subPath, options) {
+  const objects = [];
+  for await (const page of db._listObjectPages(subPath, options)) {
+    objects.push(...page.filter(({ key }) => !isReserved(key)));
+  }
+  return objects;
+}
+
+function exportEntry(db, { key, body, contentType, cacheControl, metadata, expiresAt }) {
+  const entry = { key, contentType, cacheControl, metadata, expiresAt };
+  if (db.serializer.name === 'json' && key.endsWith(db.serializer.extension)) {
+    try {
+      return { ...entry, data: JSON.parse(body.toString('utf-8')) };
+    } catch (err) {
+      logger.warn(`S3DB: ${key} is not valid JSON, exporting it as a raw object`);
+    }
+  }
+  return { ...entry, body: body.toString('base64') };
+}
+
+// Turns an exported entry into the key, body and options for putRaw()
+function importEntry({ key, data, body, contentType, cacheControl, metadata, expiresAt }) {
+  if (typeof key !== 'string' || !key) {
+    throw new Error(`Invalid import entry: key must be a non-empty string, got ${JSON.stringify(key)}.`);
+  }
+  return {
+    key,
+    body: data !== undefined ? JSON.stringify(data) : Buffer.from(body || '', 'base64'),
+    contentType,
+    cacheControl,
+    metadata: metadata && Object.keys(metadata).length ? metadata : undefined,
+    expiresAt,
+  };
+}
+
+async function* directoryEntries(db, dir, base = dir) {
+  for (const dirent of await fs.promises.readdir(dir, { withFileTypes: true })) {
+    const file = path.join(dir, dirent.name);
+    if (dirent.isDirectory()) {
+      yield* directoryEntries(db, file, base);
+    } else if (dirent.isFile()) {
+      const key = path.relative(base, file).split(path.sep).join('/');
+      // written back as raw objects, so records need their content type
+      yield {
+        key,
+        body: (await fs.promises.readFile(file)).toString('base64'),
+        contentType: key.endsWith(db.serializer.extension) ? db.serializer.contentType : undefined,
+      };
+    }
+  }
+}
+
+async function* ndjsonEntries(stream) {
+  let lineNumber = 0;
+  for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+    lineNumber++;
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      yield JSON.parse(line);
+    } catch (err) {
+      throw new Error(`Invalid import line ${lineNumber}: ${err.message}`);
+    }
+  }
+}
+
+// Keys come from the bucket, so make sure none escapes the export directory
+function filePath(dir, key) {
+  const file = path.resolve(dir, ...key.split('/'));
+  if (!file.startsWith(path.resolve(dir) + path.sep)) {
+    throw new Error(`Can't export ${key}: it would be written outside ${dir}.`);
+  }
+  return file;
+}
+
+// Writes a line, waiting for the stream to drain when its buffer is full
+async function writeLine(stream, line) {
+  if (!stream.write(`${line}\n`)) {
+    await new Promise(resolve => stream.once('drain', resolve));
+  }
+}
+
+module.exports = {
+  exportTo,
+  importFrom,
+  sync,
+};